@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createRunnerClient } from '../cli/runner-client.js';
+import { packProject } from '../cli/pack-project.js';
+
+// Command-line client for the runner: start a run and follow it from CI, or list, inspect,
+// cancel and download runs. Log lines go to stdout, everything else to stderr.
+
+// done -> 0, failed -> 1, any other final status (cancelled, timed_out, ...) -> 2,
+// and 3 when the CLI itself failed (bad arguments, server unreachable, API errors)
+const EXIT_CODES = { done: 0, failed: 1, unfinished: 2, error: 3 };
+
+const USAGE = `Usage: cypress-runner <command> [options]
+
+Commands:
+  run <path>         Upload a project directory, .zip or .cy.* spec, stream its log and
+                     download the results; exits 0 when the run passed
+  list               List runs
+  get <id>           Print a run as JSON
+  cancel <id>        Cancel a queued or running run
+  download <id>      Download a run's artifacts ZIP
+
+Options:
+  -s, --server <url>     Runner URL (default: $CYPRESS_RUNNER_SERVER or http://localhost:3000)
+      --token <token>    API token (default: $CYPRESS_RUNNER_TOKEN)
+  -o, --out <dir>        Where run and download save files (default: cypress-runner-results)
+      --json             list: print JSON instead of a table
+  -h, --help             Show this help
+
+Run options:
+      --base-url <url>         baseUrl for the tests
+      --browser <names>        Browser, or comma-separated browsers to run in each
+      --shards <n>             Split the specs over n parallel runs
+      --priority <n>           Queue priority (higher runs first)
+      --timeout <minutes>      Stop the run after this long
+      --env <NAME=value>       Cypress env value (repeatable)
+      --secret <NAME[=secret]> Expose a stored secret (repeatable)
+      --webhook <url>          Notify this URL about the run (repeatable)
+      --artifacts              Also download the artifacts ZIP
+
+Exit codes: 0 passed, 1 failed, 2 cancelled, timed out or otherwise unfinished, 3 CLI error`;
+
+const OPTIONS = {
+    server: { type: 'string', short: 's' },
+    token: { type: 'string' },
+    out: { type: 'string', short: 'o' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    'base-url': { type: 'string' },
+    browser: { type: 'string' },
+    shards: { type: 'string' },
+    priority: { type: 'string' },
+    timeout: { type: 'string' },
+    env: { type: 'string', multiple: true },
+    secret: { type: 'string', multiple: true },
+    webhook: { type: 'string', multiple: true },
+    artifacts: { type: 'boolean' },
+};
+
+const COMMANDS = {
+    run: runCommand,
+    list: listCommand,
+    get: getCommand,
+    cancel: cancelCommand,
+    download: downloadCommand,
+};
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, target] = positionals;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : EXIT_CODES.error;
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command: ${command}. Run cypress-runner --help for usage.`);
+    }
+    if (command !== 'list' && !target) {
+        throw new Error(`cypress-runner ${command} needs a ${command === 'run' ? 'path' : 'run id'}`);
+    }
+
+    const client = createRunnerClient({
+        server: options.server || process.env.CYPRESS_RUNNER_SERVER || 'http://localhost:3000',
+        token: options.token || process.env.CYPRESS_RUNNER_TOKEN || '',
+    });
+    return COMMANDS[command](client, target, options);
+}
+
+async function runCommand(client, target, options) {
+    const project = packProject(target);
+    const settings = {
+        baseUrl: options['base-url'],
+        browser: options.browser,
+        shards: options.shards,
+        priority: options.priority,
+        timeoutMinutes: options.timeout,
+        env: options.env ? JSON.stringify(parseEnv(options.env)) : undefined,
+        secrets: options.secret ? options.secret.join(',') : undefined,
+        webhooks: options.webhook ? options.webhook.join(',') : undefined,
+    };
+
+    log(`Uploading ${project.filename} (${formatBytes(project.buffer.length)}) to ${client.server}`);
+    const started = await client.startRun(project, settings);
+    log(started.queuePosition
+        ? `Run ${started.runId} queued (position ${started.queuePosition})`
+        : `Run ${started.runId} started`);
+
+    // The first Ctrl-C (or a CI job's SIGTERM) cancels the run and waits for it to stop; a second one quits
+    let cancelling = false;
+    const cancel = () => {
+        if (cancelling) process.exit(EXIT_CODES.error);
+        cancelling = true;
+        log(`Cancelling run ${started.runId} (interrupt again to quit without waiting)`);
+        client.cancelRun(started.runId).catch(error => log(`Could not cancel the run: ${error.message}`));
+    };
+    process.on('SIGINT', cancel);
+    process.on('SIGTERM', cancel);
+
+    const status = await client.followRun(started.runId, { onLine: line => console.log(line) });
+    process.off('SIGINT', cancel);
+    process.off('SIGTERM', cancel);
+
+    const run = await client.getRun(started.runId);
+    const outDir = options.out || 'cypress-runner-results';
+    await downloadResults(client, run, outDir);
+    if (options.artifacts) {
+        await saveArtifacts(client, run.id, outDir);
+    }
+
+    log(`Run ${run.id} finished with status ${status}${run.summary ? `: ${formatSummary(run.summary)}` : ''}`);
+    return exitCode(status);
+}
+
+async function listCommand(client, target, options) {
+    const runs = await client.listRuns();
+    if (options.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return 0;
+    }
+    if (runs.length === 0) {
+        log('No runs');
+        return 0;
+    }
+
+    const rows = [
+        ['ID', 'STATUS', 'CREATED', 'TESTS', 'FILE'],
+        ...runs.map(run => [
+            `${run.id}${run.pinned ? ' (pinned)' : ''}`,
+            run.status,
+            new Date(run.createdAt).toLocaleString(),
+            run.summary ? formatSummary(run.summary) : '-',
+            run.filename || (run.source ? run.source.repoUrl : '-'),
+        ]),
+    ];
+    const widths = rows[0].map((_cell, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    rows.forEach(row => console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()));
+    return 0;
+}
+
+async function getCommand(client, runId) {
+    console.log(JSON.stringify(await client.getRun(runId), null, 2));
+    return 0;
+}
+
+async function cancelCommand(client, runId) {
+    const result = await client.cancelRun(runId);
+    log(result.status === 'stopping' ? `Run ${runId} is stopping` : `Run ${runId} ${result.status}`);
+    return 0;
+}
+
+async function downloadCommand(client, runId, options) {
+    await saveArtifacts(client, runId, options.out || '.');
+    return 0;
+}
+
+// Save run.json, the results JSON and the JUnit and HTML reports of a run, with those of
+// its browser or shard runs in one folder each. A missing file is reported, not fatal.
+async function downloadResults(client, run, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'run.json'), JSON.stringify(run, null, 2));
+
+    const files = [
+        [run.resultsJson, 'results.json'],
+        [run.reports && run.reports.junit, 'junit.xml'],
+        [run.reports && run.reports.html, 'report.html'],
+    ];
+    for (const [url, name] of files.filter(([url]) => url)) {
+        try {
+            log(`Saved ${await client.download(url, path.join(outDir, name))}`);
+        } catch (error) {
+            log(`Could not download ${name}: ${error.message}`);
+        }
+    }
+
+    for (const child of run.children || []) {
+        await downloadResults(client, child, path.join(outDir, child.shard ? `shard-${child.shard.index}` : child.browser));
+    }
+}
+
+async function saveArtifacts(client, runId, outDir) {
+    const filePath = path.join(outDir, `${runId}-artifacts.zip`);
+    log(`Saved ${await client.download(`/runs/${encodeURIComponent(runId)}/artifacts.zip`, filePath)}`);
+}
+
+// --env NAME=value items as an object
+function parseEnv(items) {
+    return Object.fromEntries(items.map(item => {
+        const separator = item.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid --env ${item}. Use NAME=value.`);
+        }
+        return [item.slice(0, separator), item.slice(separator + 1)];
+    }));
+}
+
+function exitCode(status) {
+    if (status === 'done') return EXIT_CODES.done;
+    if (status === 'failed') return EXIT_CODES.failed;
+    return EXIT_CODES.unfinished;
+}
+
+function formatSummary(summary) {
+    return `${summary.passed} passed, ${summary.failed} failed of ${summary.total}`;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function log(message) {
+    console.error(message);
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        log(`Error: ${error.message}`);
+        if (String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            log('Run cypress-runner --help for usage.');
+        }
+        process.exit(EXIT_CODES.error);
+    });
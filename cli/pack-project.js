@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+// What `cypress-runner run <path>` uploads: a directory is zipped, while a ZIP or a single
+// spec file is sent as it is (the same uploads /start accepts)
+
+// Folders left out of zipped directories: the runner installs dependencies itself
+const EXCLUDED_FOLDERS = ['node_modules', '.git'];
+
+const SPEC_PATTERN = /\.cy\.(js|ts|mjs)$/i;
+
+// Returns { filename, buffer }
+export function packProject(target) {
+    const stat = fs.statSync(target, { throwIfNoEntry: false });
+    if (!stat) {
+        throw new Error(`No such file or directory: ${target}`);
+    }
+
+    if (stat.isDirectory()) {
+        const zip = new AdmZip();
+        addFolder(zip, path.resolve(target), '');
+        if (zip.getEntries().length === 0) {
+            throw new Error(`Nothing to upload in ${target}`);
+        }
+        return {
+            filename: `${path.basename(path.resolve(target))}.zip`,
+            buffer: zip.toBuffer(),
+        };
+    }
+
+    const filename = path.basename(target);
+    if (!filename.toLowerCase().endsWith('.zip') && !SPEC_PATTERN.test(filename)) {
+        throw new Error(`Cannot upload ${filename}: pass a project directory, a .zip or a .cy.{js,ts,mjs} spec`);
+    }
+    return { filename, buffer: fs.readFileSync(target) };
+}
+
+function addFolder(zip, dir, zipPath) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!EXCLUDED_FOLDERS.includes(entry.name)) {
+                addFolder(zip, entryPath, `${zipPath}${entry.name}/`);
+            }
+        } else if (entry.isFile()) {
+            zip.addLocalFile(entryPath, zipPath);
+        }
+    });
+}
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { URL } from 'url';
+import { Blob } from 'buffer';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { TextDecoder } from 'util';
+
+// HTTP client for the runner's REST API, used by the cypress-runner CLI
+
+// The final line of every run log: RUN_DONE status=<status> code=<exit code>. Lines of
+// browser and shard runs are prefixed with their label, so only an unprefixed one counts.
+const RUN_DONE_PATTERN = /^RUN_DONE status=(\S+)/;
+
+// A dropped log stream is resumed from the last event after this delay...
+const RECONNECT_DELAY_MS = 2000;
+// ...unless the server could not be reached this many times in a row
+const MAX_RECONNECT_FAILURES = 10;
+
+// The server answered with an error status; `status` is the HTTP status
+export class ApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+export function createRunnerClient({ server, token }) {
+    const base = new URL(server.endsWith('/') ? server : `${server}/`);
+
+    async function request(route, { method = 'GET', headers = {}, body } = {}) {
+        const url = new URL(route.replace(/^\//, ''), base);
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: { ...authHeaders(url), ...headers },
+                body,
+            });
+        } catch (error) {
+            throw new Error(`Cannot reach ${url.origin}: ${error.cause ? error.cause.message : error.message}`);
+        }
+        if (!response.ok) {
+            throw await apiError(method, url, response);
+        }
+        return response;
+    }
+
+    // Presigned storage URLs must not carry the runner token; S3 rejects a second signature
+    function authHeaders(url) {
+        return token && url.origin === base.origin ? { Authorization: `Bearer ${token}` } : {};
+    }
+
+    async function getRun(runId) {
+        return (await request(`/runs/${encodeURIComponent(runId)}`)).json();
+    }
+
+    return {
+        server: base.href,
+
+        // Upload a project ({ filename, buffer }) with /start settings; returns the /start response
+        async startRun({ filename, buffer }, settings) {
+            const form = new FormData();
+            form.append('file', new Blob([buffer]), filename);
+            Object.entries(settings).forEach(([name, value]) => {
+                if (value !== undefined && value !== null) {
+                    form.append(name, String(value));
+                }
+            });
+            const response = await request('/start', { method: 'POST', body: form });
+            return response.json();
+        },
+
+        async listRuns() {
+            return (await request('/runs')).json();
+        },
+
+        getRun,
+
+        async cancelRun(runId) {
+            return (await request(`/runs/${encodeURIComponent(runId)}/cancel`, { method: 'POST' })).json();
+        },
+
+        // Print a run's log through `onLine` until it finishes, reconnecting where the stream
+        // left off when it drops. Resolves to the run's final status.
+        async followRun(runId, { onLine }) {
+            let lastEventId = 0;
+            let failures = 0;
+            for (;;) {
+                try {
+                    const response = await request(`/runs/${encodeURIComponent(runId)}/stream`, {
+                        headers: { Accept: 'text/event-stream', 'Last-Event-ID': String(lastEventId) },
+                    });
+                    failures = 0;
+                    for await (const event of readEvents(response.body)) {
+                        lastEventId = event.id ?? lastEventId;
+                        onLine(event.data);
+                        const done = RUN_DONE_PATTERN.exec(event.data);
+                        if (done) return done[1];
+                    }
+                } catch (error) {
+                    if (error instanceof ApiError || ++failures >= MAX_RECONNECT_FAILURES) throw error;
+                }
+
+                // The stream ended without RUN_DONE: the run may have finished without one
+                // (e.g. interrupted by a restart), or the connection dropped
+                try {
+                    const run = await getRun(runId);
+                    if (!['queued', 'running'].includes(run.status)) return run.status;
+                } catch (error) {
+                    if (error instanceof ApiError || ++failures >= MAX_RECONNECT_FAILURES) throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+            }
+        },
+
+        // Save a runner route or artifact URL (relative, or absolute for storage URLs) to a file
+        async download(urlOrRoute, filePath) {
+            const response = await request(urlOrRoute);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(filePath));
+            return filePath;
+        },
+    };
+}
+
+// Server-sent events of a response body as { id, data }; multi-line data is joined with \n
+async function* readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = { id: null, data: [] };
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const rawLine of lines) {
+            const line = rawLine.replace(/\r$/, '');
+            if (line === '') {
+                if (event.data.length > 0) {
+                    yield { id: event.id, data: event.data.join('\n') };
+                }
+                event = { id: null, data: [] };
+            } else if (line.startsWith('id:')) {
+                event.id = parseInt(line.slice(3).trim(), 10) || null;
+            } else if (line.startsWith('data:')) {
+                event.data.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+    }
+}
+
+async function apiError(method, url, response) {
+    let message = `${response.status} ${response.statusText}`;
+    try {
+        const body = await response.json();
+        if (body && body.error) {
+            message = body.message ? `${body.error}: ${body.message}` : body.error;
+        }
+    } catch {
+        // Not a JSON error body
+    }
+    return new ApiError(`${method} ${url.pathname} failed: ${message}`, response.status);
+}
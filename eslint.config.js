@@ -17,6 +17,9 @@ export default [
                 setImmediate: 'readonly',
                 clearTimeout: 'readonly',
                 clearInterval: 'readonly',
+                fetch: 'readonly',
+                FormData: 'readonly',
+                AbortSignal: 'readonly',
             },
         },
         rules: {
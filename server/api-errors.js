@@ -0,0 +1,65 @@
+// Error responses share one shape: { ok: false, error, code, details? }. `error` is meant
+// for people; `code` is a stable identifier clients can branch on. Handlers that know
+// more than the status set their own code, every other error gets the one for its status.
+
+export const ERROR_CODES = {
+    // 400
+    validation_failed: 'The request does not match the API schema; see details',
+    invalid_request: 'The request is well-formed but cannot be carried out as asked',
+    invalid_json: 'The request body is not valid JSON',
+    invalid_upload: 'The multipart upload is malformed',
+    unsupported_file_type: 'The uploaded file is not a .zip or a .cy.{js,ts,mjs} spec',
+    file_too_large: 'The uploaded file is larger than MAX_FILE_SIZE_MB',
+    unsafe_archive: 'The uploaded ZIP was rejected by the archive safety checks',
+    // 401, 403, 404, 409, 413, 429
+    unauthorized: 'No valid API token was sent',
+    forbidden: 'The API token lacks the role the action needs',
+    not_found: 'The route or the resource does not exist, or is not visible to the caller',
+    conflict: 'The resource is not in a state that allows the action',
+    payload_too_large: 'The request body is too large',
+    rate_limited: 'Too many requests; retry later',
+    // 5xx
+    internal_error: 'The server failed to handle the request',
+    bad_gateway: 'A service the runner depends on (git, artifact storage) failed',
+    service_unavailable: 'The feature is not configured on this server',
+};
+
+const CODES_BY_STATUS = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    502: 'bad_gateway',
+    503: 'service_unavailable',
+};
+
+// Raised (or passed to next()) to answer with an error status and code
+export class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// `body` with the default code for `status` when it is an error body without one
+export function withErrorCode(status, body) {
+    if (!body || body.ok !== false || body.code) return body;
+    return { ...body, code: errorCodeFor(status) };
+}
+
+export function errorCodeFor(status) {
+    return CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// Middleware that adds the default code to every error body sent with res.json
+export function addErrorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => json(withErrorCode(res.statusCode, body));
+    next();
+}
@@ -0,0 +1,140 @@
+import path from 'path';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { createS3Client } from './s3-client.js';
+
+// Where the artifacts of finished runs are stored and downloaded from. Keys look like
+// "<runId>/cypress/videos/home.cy.js.mp4". Drivers:
+//   - local: the run folders under runs/, where Cypress wrote the files (the default)
+//   - s3: a bucket on an S3-compatible store (AWS S3, MinIO, ...)
+//
+// Every driver has put(key, filePath), get(key, { range }), remove(prefix) and url(key),
+// which returns a URL the browser can download from directly, or null when downloads
+// go through the app.
+
+// Presigned URLs may not be valid for longer than a week
+const MAX_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html; charset=utf-8',
+    '.log': 'text/plain; charset=utf-8',
+};
+
+// Raised for a storage configuration the app cannot start with
+export class StorageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageError';
+    }
+}
+
+export function createArtifactStorage({ driver, s3 }, { localDir }) {
+    if (driver === 'local') return createLocalStorage(localDir);
+    if (driver === 's3') return createS3Storage(s3);
+    throw new StorageError(`Unknown storage driver: ${driver}. Use local or s3.`);
+}
+
+function createLocalStorage(root) {
+    const filePath = key => path.join(root, ...key.split('/'));
+
+    return {
+        name: 'local',
+        remote: false,
+
+        // Run artifacts are already where this driver keeps them
+        async put(key, source) {
+            const target = filePath(key);
+            if (path.resolve(source) === path.resolve(target)) return;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(source, target);
+        },
+
+        async get(key) {
+            const target = filePath(key);
+            const stat = await fs.promises.stat(target).catch(() => null);
+            if (!stat || !stat.isFile()) return null;
+            return {
+                status: 200,
+                headers: { 'Content-Type': contentType(key), 'Content-Length': String(stat.size) },
+                body: fs.createReadStream(target),
+            };
+        },
+
+        async remove(prefix) {
+            await fs.promises.rm(filePath(prefix), { recursive: true, force: true });
+        },
+
+        url() {
+            return null;
+        },
+    };
+}
+
+function createS3Storage({ bucket, accessKeyId, secretAccessKey, prefix, urlMode, urlExpirySeconds, ...connection }) {
+    if (!bucket) {
+        throw new StorageError('S3_BUCKET is required for the s3 storage driver');
+    }
+    if (!accessKeyId || !secretAccessKey) {
+        throw new StorageError('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+    }
+    if (!['signed', 'proxy'].includes(urlMode)) {
+        throw new StorageError(`Invalid S3_URL_MODE: ${urlMode}. Use signed or proxy.`);
+    }
+
+    const client = createS3Client({ ...connection, bucket, accessKeyId, secretAccessKey });
+    const expiresIn = Math.min(Math.max(1, urlExpirySeconds), MAX_URL_EXPIRY_SECONDS);
+    const objectKey = key => `${prefix}${key}`;
+
+    return {
+        name: 's3',
+        remote: true,
+
+        async put(key, source) {
+            const { size } = await fs.promises.stat(source);
+            await client.putObject(objectKey(key), fs.createReadStream(source), {
+                contentLength: size,
+                contentType: contentType(key),
+            });
+        },
+
+        async get(key, { range } = {}) {
+            const response = await client.getObject(objectKey(key), { range });
+            if (!response) return null;
+
+            const headers = {};
+            ['Content-Type', 'Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified'].forEach(name => {
+                if (response.headers.has(name)) {
+                    headers[name] = response.headers.get(name);
+                }
+            });
+            return {
+                status: response.status,
+                headers,
+                body: response.body ? Readable.fromWeb(response.body) : Readable.from([]),
+            };
+        },
+
+        // Returns how many objects were deleted
+        async remove(prefixToRemove) {
+            const keys = await client.listKeys(objectKey(prefixToRemove));
+            for (const key of keys) {
+                await client.deleteObject(key);
+            }
+            return keys.length;
+        },
+
+        url(key) {
+            return urlMode === 'signed' ? client.presignGetObject(objectKey(key), expiresIn) : null;
+        },
+    };
+}
+
+function contentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
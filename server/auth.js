@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Bearer-token authentication. Tokens come from API_TOKENS
+// ("token:name:role,token:name:role") and/or a JSON file named by
+// API_TOKENS_FILE ([{ "token", "name", "role" }]). Roles:
+//   admin - sees every run and may delete runs
+//   user  - sees only the runs they started
+// When no tokens are configured authentication is disabled and every request
+// acts as an anonymous admin.
+
+export const ROLES = ['admin', 'user'];
+
+const ANONYMOUS = { name: 'anonymous', role: 'admin' };
+const COOKIE_NAME = 'runner_token';
+
+const tokens = loadTokens();
+
+export const authEnabled = tokens.size > 0;
+
+if (!authEnabled) {
+    logger.warn('No API tokens configured (API_TOKENS / API_TOKENS_FILE); authentication is disabled');
+}
+
+// Express middleware: resolve the caller from the request token and reject unknown callers
+export function authenticate(req, res, next) {
+    if (!authEnabled) {
+        req.user = ANONYMOUS;
+        return next();
+    }
+
+    const token = extractToken(req);
+    const user = token ? findUser(token) : null;
+    if (!user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            ok: false,
+            error: token ? 'Invalid API token' : 'Authentication required',
+        });
+    }
+
+    req.user = user;
+    next();
+}
+
+// Express middleware factory: only let callers with the given role through
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (req.user?.role !== role) {
+            return res.status(403).json({
+                ok: false,
+                error: `This action requires the ${role} role`,
+            });
+        }
+        next();
+    };
+}
+
+export function canAccessRun(user, run) {
+    if (!user || !run) return false;
+    return user.role === 'admin' || run.owner === user.name;
+}
+
+// Header for API clients, cookie for the browser UI (videos, downloads, EventSource),
+// query parameter for quick curl use
+function extractToken(req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+
+    const cookie = parseCookies(req.get('Cookie'))[COOKIE_NAME];
+    if (cookie) return cookie;
+
+    if (typeof req.query.token === 'string') return req.query.token;
+    return null;
+}
+
+function findUser(token) {
+    const digest = hashToken(token);
+    for (const [knownDigest, user] of tokens) {
+        if (crypto.timingSafeEqual(digest, knownDigest)) {
+            return user;
+        }
+    }
+    return null;
+}
+
+function loadTokens() {
+    const entries = [];
+
+    config.security.apiTokens
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .forEach(item => {
+            const [token, name, role = 'user'] = item.split(':');
+            entries.push({ token, name, role });
+        });
+
+    if (config.security.apiTokensFile) {
+        try {
+            const fromFile = JSON.parse(fs.readFileSync(config.security.apiTokensFile, 'utf8'));
+            entries.push(...fromFile);
+        } catch (error) {
+            logger.error(`Error reading API tokens file ${config.security.apiTokensFile}:`, error);
+        }
+    }
+
+    const loaded = new Map();
+    entries.forEach(({ token, name, role }) => {
+        if (!token || !name || !ROLES.includes(role)) {
+            logger.error(`Ignoring invalid API token entry for "${name || 'unnamed'}"`);
+            return;
+        }
+        // Keyed by digest so lookups compare fixed-length values in constant time
+        loaded.set(hashToken(token), { name, role });
+    });
+    return loaded;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const key = part.slice(0, index).trim();
+        try {
+            cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch {
+            cookies[key] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
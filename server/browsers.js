@@ -0,0 +1,67 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import fs from 'fs';
+
+// Browsers Cypress can drive, with the executables Linux installs put on the PATH.
+// Electron ships inside Cypress itself and is always available.
+const KNOWN_BROWSERS = [
+    { name: 'chrome', displayName: 'Chrome', executables: ['google-chrome', 'google-chrome-stable', 'chrome'] },
+    { name: 'chromium', displayName: 'Chromium', executables: ['chromium', 'chromium-browser'] },
+    { name: 'firefox', displayName: 'Firefox', executables: ['firefox'] },
+    { name: 'edge', displayName: 'Edge', executables: ['microsoft-edge', 'microsoft-edge-stable'] },
+    { name: 'electron', displayName: 'Electron', executables: [] },
+];
+
+const VERSION_TIMEOUT_MS = 5000;
+
+let installed = null;
+let withVersions = null;
+
+// Browsers found on this machine as [{ name, displayName, path }]; detected once
+export function getInstalledBrowsers() {
+    if (!installed) {
+        installed = KNOWN_BROWSERS
+            .map(({ name, displayName, executables }) => {
+                if (name === 'electron') return { name, displayName, path: null };
+                const found = executables.map(findExecutable).find(Boolean);
+                return found ? { name, displayName, path: found } : null;
+            })
+            .filter(Boolean);
+    }
+    return installed;
+}
+
+// Installed browsers with the version each reports
+export function getBrowserDetails() {
+    if (!withVersions) {
+        withVersions = Promise.all(getInstalledBrowsers().map(async browser => ({
+            ...browser,
+            version: browser.path ? await readVersion(browser.path) : null,
+        })));
+    }
+    return withVersions;
+}
+
+function findExecutable(executable) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        const candidate = path.join(dir, executable);
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            return candidate;
+        } catch {
+            // Not in this directory
+        }
+    }
+    return null;
+}
+
+function readVersion(executable) {
+    return new Promise(resolve => {
+        execFile(executable, ['--version'], { timeout: VERSION_TIMEOUT_MS }, (error, stdout) => {
+            if (error) return resolve(null);
+            const match = stdout.match(/\d+(\.\d+)+/);
+            resolve(match ? match[0] : stdout.trim() || null);
+        });
+    });
+}
@@ -5,11 +5,33 @@ dotenv.config();
 export const config = {
     port: parseInt(process.env.PORT || '3000', 10),
     nodeEnv: process.env.NODE_ENV || 'development',
+    // External base URL used to build absolute links (e.g. in webhook payloads)
+    publicUrl: (process.env.PUBLIC_URL || '').replace(/\/$/, ''),
     
     upload: {
         maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB || '100', 10),
         maxRunsRetention: parseInt(process.env.MAX_RUNS_RETENTION || '50', 10),
         cleanupIntervalHours: parseInt(process.env.CLEANUP_INTERVAL_HOURS || '24', 10),
+        maxExtractedSizeMB: parseInt(process.env.MAX_EXTRACTED_SIZE_MB || '500', 10),
+        maxZipEntries: parseInt(process.env.MAX_ZIP_ENTRIES || '10000', 10),
+        maxCompressionRatio: parseInt(process.env.MAX_COMPRESSION_RATIO || '100', 10),
+    },
+    
+    retention: {
+        // Runs older than this are deleted (0 = no age limit)
+        maxAgeDays: parseFloat(process.env.RETENTION_MAX_AGE_DAYS || '0') || 0,
+        // Per-status overrides of maxAgeDays, e.g. "failed:30,done:7"
+        maxAgeDaysByStatus: Object.fromEntries(
+            (process.env.RETENTION_MAX_AGE_DAYS_BY_STATUS || '')
+                .split(',')
+                .map(rule => rule.split(':').map(part => part.trim()))
+                .filter(([status, days]) => status && Number.isFinite(parseFloat(days)))
+                .map(([status, days]) => [status, parseFloat(days)])
+        ),
+        // Total size the runs may take before the oldest are deleted (0 = no budget)
+        diskBudgetMB: parseFloat(process.env.RETENTION_DISK_BUDGET_MB || '0') || 0,
+        // Defaults to runs/.deletions.jsonl
+        auditLog: process.env.RETENTION_AUDIT_LOG || '',
     },
     
     cypress: {
@@ -17,10 +39,95 @@ export const config = {
         videoEnabled: process.env.CYPRESS_VIDEO_ENABLED !== 'false',
     },
     
+    runner: {
+        maxConcurrentRuns: Math.max(1, parseInt(process.env.MAX_CONCURRENT_RUNS || '1', 10) || 1),
+        maxRunDurationMinutes: parseFloat(process.env.MAX_RUN_DURATION_MINUTES || '30') || 30,
+        maxShards: Math.max(1, parseInt(process.env.MAX_SHARDS || '8', 10) || 8),
+    },
+    
+    install: {
+        enabled: process.env.INSTALL_DEPENDENCIES !== 'false',
+        timeoutMinutes: parseFloat(process.env.INSTALL_TIMEOUT_MINUTES || '10') || 10,
+        // Defaults to runs/.deps-cache
+        cacheDir: process.env.DEPS_CACHE_DIR || '',
+        cacheMaxAgeDays: parseFloat(process.env.DEPS_CACHE_MAX_AGE_DAYS || '7') || 7,
+    },
+    
     security: {
         rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
         rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
         corsOrigin: process.env.CORS_ORIGIN || '*',
+        apiTokens: process.env.API_TOKENS || '',
+        apiTokensFile: process.env.API_TOKENS_FILE || '',
+    },
+    
+    secrets: {
+        // Passphrase the secrets store's encryption key is derived from; secrets are disabled without it
+        key: process.env.SECRETS_KEY || '',
+        // Defaults to runs/.secrets.json
+        file: process.env.SECRETS_FILE || '',
+    },
+    
+    projects: {
+        // Defaults to runs/.projects
+        dir: process.env.PROJECTS_DIR || '',
+    },
+    
+    visual: {
+        enabled: process.env.VISUAL_REGRESSION !== 'false',
+        // Per-pixel colour distance (0-1) below which two pixels count as equal
+        pixelThreshold: parseFloat(process.env.VISUAL_PIXEL_THRESHOLD || '0.1'),
+        // Share of differing pixels a screenshot may have and still pass
+        maxDiffRatio: parseFloat(process.env.VISUAL_MAX_DIFF_RATIO || '0.001'),
+        // Defaults to runs/.baselines
+        baselinesDir: process.env.BASELINES_DIR || '',
+    },
+    
+    storage: {
+        // Where finished runs' artifacts are stored: local (the run folders) or s3
+        driver: process.env.STORAGE_DRIVER || 'local',
+        s3: {
+            // Defaults to AWS; set it for MinIO and other S3-compatible stores
+            endpoint: process.env.S3_ENDPOINT || '',
+            // Endpoint browsers use for presigned URLs, when it differs from S3_ENDPOINT
+            publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || '',
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET || '',
+            // Prepended to every object key, e.g. "cypress-runner/"
+            prefix: process.env.S3_PREFIX || '',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+            // endpoint/bucket/key URLs instead of bucket.endpoint/key; the default with a custom endpoint
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : Boolean(process.env.S3_ENDPOINT),
+            // signed: artifact URLs are presigned S3 URLs; proxy: the app streams downloads from the bucket
+            urlMode: process.env.S3_URL_MODE || 'signed',
+            urlExpirySeconds: parseInt(process.env.S3_URL_EXPIRY_SECONDS || '3600', 10) || 3600,
+        },
+    },
+
+    api: {
+        // Log responses of the routes in /openapi.json that do not match their schema
+        validateResponses: process.env.VALIDATE_RESPONSES !== 'false',
+    },
+
+    git: {
+        cloneTimeoutMs: parseInt(process.env.GIT_CLONE_TIMEOUT_MS || '300000', 10),
+    },
+    
+    webhooks: {
+        urls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+        secret: process.env.WEBHOOK_SECRET || '',
+        // Hosts a run's own webhooks may reach even when they resolve to an internal address
+        allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+        events: (process.env.WEBHOOK_EVENTS || 'run.queued,run.started,run.finished')
+            .split(',')
+            .map(event => event.trim())
+            .filter(Boolean),
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+        retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '1000', 10),
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
     },
     
     logging: {
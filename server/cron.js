@@ -0,0 +1,153 @@
+// Standard five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the server's local time. Fields accept *, lists (1,15), ranges (1-5),
+// steps (*/15, 0-30/10) and month/day names (jan, mon). Like cron, when both
+// day-of-month and day-of-week are restricted a day matching either one fires.
+
+// Raised for expressions that cannot be parsed
+export class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    // 7 is accepted as another Sunday
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// Searching further than this without a match means the expression never fires (e.g. 30 feb)
+const MAX_SEARCH_YEARS = 5;
+
+export function parseCron(expression) {
+    const source = String(expression || '').trim().toLowerCase();
+    const fields = (MACROS[source] || source).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new CronError(`Cron expression must have 5 fields: ${expression}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    const schedule = {
+        expression: String(expression).trim(),
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: fields[2] === '*',
+        anyWeekday: fields[4] === '*',
+    };
+    if (!nextCronTime(schedule, new Date())) {
+        throw new CronError(`Cron expression never fires: ${expression}`);
+    }
+    return schedule;
+}
+
+// First time strictly after `after` (to the minute) that the schedule fires, or null
+export function nextCronTime(schedule, after) {
+    const time = new Date(after.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    const limit = new Date(time.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (time < limit) {
+        if (!schedule.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0);
+        } else if (!matchesDay(schedule, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0);
+        } else if (!schedule.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+function matchesDay(schedule, time) {
+    const dayMatches = schedule.days.has(time.getDate());
+    const weekdayMatches = schedule.weekdays.has(time.getDay());
+    if (schedule.anyDay) return weekdayMatches;
+    if (schedule.anyWeekday) return dayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+function parseField(field, spec) {
+    const values = new Set();
+    field.split(',').forEach(part => {
+        const match = part.match(/^([^/]+)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new CronError(`Invalid ${spec.name} field: ${field}`);
+        }
+        const [, range, stepText] = match;
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        if (step < 1) {
+            throw new CronError(`Invalid step in ${spec.name} field: ${field}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = spec.min;
+            end = spec.max;
+        } else {
+            const bounds = range.split('-');
+            if (bounds.length > 2) {
+                throw new CronError(`Invalid ${spec.name} field: ${field}`);
+            }
+            start = parseValue(bounds[0], spec, field);
+            // "5/15" means every 15 starting at 5
+            end = bounds.length === 2 ? parseValue(bounds[1], spec, field) : stepText ? spec.max : start;
+        }
+        if (start > end) {
+            throw new CronError(`Invalid range in ${spec.name} field: ${field}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+    return values;
+}
+
+function parseValue(text, spec, field) {
+    let value;
+    if (/^\d+$/.test(text)) {
+        value = parseInt(text, 10);
+    } else if (spec.names && spec.names.includes(text)) {
+        value = spec.names.indexOf(text) + spec.nameOffset;
+    } else {
+        throw new CronError(`Invalid ${spec.name} field: ${field}`);
+    }
+    if (value < spec.min || value > spec.max) {
+        throw new CronError(`${spec.name} value ${value} is out of range in: ${field}`);
+    }
+    return value;
+}
@@ -0,0 +1,142 @@
+import { spawn } from 'child_process';
+import { nanoid } from 'nanoid';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { killProcessTree } from './process-tree.js';
+
+// Installs an uploaded project's own dependencies before Cypress runs.
+//
+// Installed node_modules folders are cached by a hash of the lockfile (plus the
+// install command and Node major version): after the first install the folder is
+// copied into the cache, and every later project with the same lockfile gets its own
+// copy of it, so no run can change the packages another run loads. The server deletes
+// a run's copy when the run finishes.
+
+// Raised when installing fails or takes longer than allowed
+export class InstallError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InstallError';
+    }
+}
+
+const PACKAGE_MANAGERS = [
+    { lockfile: 'package-lock.json', command: 'npm', args: ['ci', '--no-audit', '--no-fund'] },
+    { lockfile: 'npm-shrinkwrap.json', command: 'npm', args: ['ci', '--no-audit', '--no-fund'] },
+    { lockfile: 'yarn.lock', command: 'yarn', args: ['install', '--frozen-lockfile', '--non-interactive'] },
+    { lockfile: 'pnpm-lock.yaml', command: 'pnpm', args: ['install', '--frozen-lockfile'] },
+];
+
+// Yarn 2 and later (configured by .yarnrc.yml) reject --frozen-lockfile
+const YARN_BERRY_ARGS = ['install', '--immutable'];
+
+// Reflinks (copy-on-write clones) where the filesystem supports them, plain copies elsewhere
+const COPY_OPTIONS = { recursive: true, verbatimSymlinks: true, mode: fs.constants.COPYFILE_FICLONE };
+
+// How to install a project's dependencies, or null when it has no package.json and lockfile
+export function detectInstall(workPath) {
+    if (!fs.existsSync(path.join(workPath, 'package.json'))) return null;
+    const manager = PACKAGE_MANAGERS.find(candidate => fs.existsSync(path.join(workPath, candidate.lockfile)));
+    if (manager && manager.command === 'yarn' && fs.existsSync(path.join(workPath, '.yarnrc.yml'))) {
+        return { ...manager, args: YARN_BERRY_ARGS };
+    }
+    return manager || null;
+}
+
+export async function installDependencies({ workPath, install, cacheDir, timeoutMs, onOutput, onSpawn }) {
+    const lockfile = fs.readFileSync(path.join(workPath, install.lockfile));
+    const key = crypto
+        .createHash('sha256')
+        .update(`${install.command} ${install.args.join(' ')}\0node${process.versions.node.split('.')[0]}\0`)
+        .update(lockfile)
+        .digest('hex');
+
+    const cachedModules = path.join(cacheDir, key, 'node_modules');
+    const projectModules = path.join(workPath, 'node_modules');
+    fs.rmSync(projectModules, { recursive: true, force: true });
+
+    if (fs.existsSync(cachedModules)) {
+        // Mark the entry as recently used so pruning keeps it
+        const now = new Date();
+        fs.utimesSync(path.join(cacheDir, key), now, now);
+        await fs.promises.cp(cachedModules, projectModules, COPY_OPTIONS);
+        return { cached: true, key };
+    }
+
+    await runInstall({ workPath, install, timeoutMs, onOutput, onSpawn });
+
+    // Copy the fresh install into the cache (the cache may be on another filesystem, so it
+    // is staged next to its final place); if a concurrent install of the same lockfile got
+    // there first, keep theirs
+    if (fs.existsSync(projectModules)) {
+        const staging = path.join(cacheDir, `.${key}-${nanoid(6)}`);
+        try {
+            await fs.promises.cp(projectModules, path.join(staging, 'node_modules'), COPY_OPTIONS);
+            fs.renameSync(staging, path.join(cacheDir, key));
+        } catch {
+            fs.rmSync(staging, { recursive: true, force: true });
+        }
+    }
+
+    return { cached: false, key };
+}
+
+// Remove cached installs that have not been used for maxAgeMs; returns how many were removed
+export function pruneDependencyCache(cacheDir, maxAgeMs) {
+    if (!fs.existsSync(cacheDir)) return 0;
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    fs.readdirSync(cacheDir, { withFileTypes: true }).forEach(entry => {
+        if (!entry.isDirectory()) return;
+        const entryPath = path.join(cacheDir, entry.name);
+        if (fs.statSync(entryPath).mtimeMs < cutoff) {
+            fs.rmSync(entryPath, { recursive: true, force: true });
+            removed++;
+        }
+    });
+    return removed;
+}
+
+function runInstall({ workPath, install, timeoutMs, onOutput, onSpawn }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(install.command, install.args, {
+            cwd: workPath,
+            env: {
+                ...process.env,
+                // The runner provides the Cypress binary; don't download another one per project
+                CYPRESS_INSTALL_BINARY: '0',
+                NO_COLOR: '1',
+                CI: '1',
+            },
+            detached: true,
+        });
+        if (onSpawn) onSpawn(child);
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killProcessTree(child);
+        }, timeoutMs);
+
+        child.stdout.on('data', data => onOutput(data.toString()));
+        child.stderr.on('data', data => onOutput(data.toString()));
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(new InstallError(`Could not start ${install.command}: ${error.message}`));
+        });
+
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (timedOut) {
+                reject(new InstallError(`Dependency install timed out after ${Math.round(timeoutMs / 1000)}s`));
+            } else if (code !== 0) {
+                reject(new InstallError(`${install.command} ${install.args[0]} exited with ${code ?? signal}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
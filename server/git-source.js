@@ -0,0 +1,158 @@
+import { execFile } from 'child_process';
+import { URL } from 'url';
+import path from 'path';
+import fs from 'fs';
+
+// Raised when a git source cannot be used: a bad URL, ref or subdirectory, or a failed clone
+export class GitSourceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GitSourceError';
+    }
+}
+
+// Transports git may use; notably excludes ext::, which runs arbitrary commands
+const ALLOWED_PROTOCOLS = 'http:https:ssh:git:file';
+
+const GIT_ENV = {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS,
+};
+
+// Clone repoUrl, check out ref (branch, tag or commit; default branch when omitted) and
+// leave the project - or just its subdirectory - in destination. Resolves to the commit SHA.
+export async function checkoutGitSource({ repoUrl, ref, subdirectory, destination, timeoutMs }) {
+    validateRepoUrl(repoUrl);
+    if (ref && !/^[\w][\w./-]*$/.test(ref)) {
+        throw new GitSourceError(`Invalid git ref: ${ref}`);
+    }
+    const subdir = normalizeSubdirectory(subdirectory);
+
+    // With a subdirectory the clone goes next to destination and only that folder is kept
+    const cloneDir = subdir ? `${destination}-checkout` : destination;
+    fs.rmSync(cloneDir, { recursive: true, force: true });
+
+    try {
+        await git(['clone', '--no-checkout', '--quiet', '--', repoUrl, cloneDir], { timeoutMs });
+
+        const commit = await resolveCommit(cloneDir, ref, timeoutMs);
+        await rejectSymlinks(cloneDir, commit, subdir, timeoutMs);
+        await git(['-C', cloneDir, 'checkout', '--quiet', '--detach', commit], { timeoutMs });
+
+        if (subdir) {
+            const projectDir = path.join(cloneDir, subdir);
+            const stat = fs.lstatSync(projectDir, { throwIfNoEntry: false });
+            if (!stat || !stat.isDirectory()) {
+                throw new GitSourceError(`Subdirectory "${subdir}" does not exist at ${commit.slice(0, 12)}`);
+            }
+            fs.rmSync(destination, { recursive: true, force: true });
+            fs.renameSync(projectDir, destination);
+        }
+
+        return commit;
+    } catch (error) {
+        // git echoes the URL it was given; keep credentials out of error messages
+        const redacted = redactRepoUrl(repoUrl);
+        if (redacted !== repoUrl) {
+            error.message = error.message.split(repoUrl).join(redacted);
+        }
+        throw error;
+    } finally {
+        if (subdir) {
+            fs.rmSync(cloneDir, { recursive: true, force: true });
+        }
+    }
+}
+
+// Repository URL with any embedded credentials removed, safe to store and display
+export function redactRepoUrl(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        if (url.username || url.password) {
+            url.username = '';
+            url.password = '';
+        }
+        return url.toString();
+    } catch {
+        return repoUrl;
+    }
+}
+
+// Try the ref as a remote branch first, then as a tag or commit
+async function resolveCommit(cloneDir, ref, timeoutMs) {
+    const candidates = ref ? [`refs/remotes/origin/${ref}`, `refs/tags/${ref}`, ref] : ['HEAD'];
+    for (const candidate of candidates) {
+        try {
+            const output = await git(['-C', cloneDir, 'rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], {
+                timeoutMs,
+            });
+            return output.trim();
+        } catch {
+            // Not this kind of ref; try the next one
+        }
+    }
+    throw new GitSourceError(ref ? `Git ref "${ref}" was not found` : 'Repository has no commits');
+}
+
+// Symbolic links would let the served run folders and the artifacts ZIP reach files outside the
+// project, as they would in ZIP uploads. The commit's tree is checked before anything is checked
+// out: links inside the kept project, and links standing in for one of its parent folders.
+async function rejectSymlinks(cloneDir, commit, subdir, timeoutMs) {
+    const output = await git(['-C', cloneDir, 'ls-tree', '-r', '-z', '--full-tree', commit], { timeoutMs });
+    const links = output.split('\0')
+        .filter(entry => entry.startsWith('120000 '))
+        .map(entry => entry.slice(entry.indexOf('\t') + 1))
+        .filter(entryPath => !subdir || entryPath.startsWith(`${subdir}/`) || `${subdir}/`.startsWith(`${entryPath}/`));
+    if (links.length > 0) {
+        const listed = links.slice(0, 5).join(', ') + (links.length > 5 ? `, and ${links.length - 5} more` : '');
+        throw new GitSourceError(`Symbolic links are not allowed in git sources: ${listed}`);
+    }
+}
+
+function validateRepoUrl(repoUrl) {
+    if (!repoUrl || typeof repoUrl !== 'string') {
+        throw new GitSourceError('repoUrl is required');
+    }
+    if (repoUrl.startsWith('-')) {
+        throw new GitSourceError(`Invalid repository URL: ${repoUrl}`);
+    }
+
+    // scp-like ssh syntax (git@host:org/repo.git) and absolute local paths are accepted as-is
+    if (/^[\w.-]+@[\w.-]+:/.test(repoUrl) || path.isAbsolute(repoUrl)) return;
+
+    let url;
+    try {
+        url = new URL(repoUrl);
+    } catch {
+        throw new GitSourceError(`Invalid repository URL: ${repoUrl}`);
+    }
+    const protocol = url.protocol.replace(/:$/, '');
+    if (!ALLOWED_PROTOCOLS.split(':').includes(protocol)) {
+        throw new GitSourceError(`Unsupported repository protocol: ${protocol}`);
+    }
+}
+
+function normalizeSubdirectory(subdirectory) {
+    if (!subdirectory) return null;
+    const normalized = path.posix.normalize(String(subdirectory).replace(/\\/g, '/')).replace(/^\.\/|\/$/g, '');
+    if (!normalized || normalized === '.') return null;
+    if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+        throw new GitSourceError(`Invalid subdirectory: ${subdirectory}`);
+    }
+    return normalized;
+}
+
+function git(args, { timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { env: GIT_ENV, timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.killed ? `timed out after ${timeoutMs}ms` : (stderr || error.message).trim();
+                const command = args[0] === '-C' ? args[2] : args[0];
+                reject(new GitSourceError(`git ${command} failed: ${reason}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
-import AdmZip from 'adm-zip';
-import { glob } from 'glob';
+import archiver from 'archiver';
+import { glob, globSync } from 'glob';
 import { nanoid } from 'nanoid';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
@@ -10,8 +10,41 @@ import fs from 'fs';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import swaggerUi from 'swagger-ui-express';
 import { config } from './config.js';
 import { logger } from './logger.js';
+import { createRunQueue } from './run-queue.js';
+import { saveRunMetadata, loadRunsFromDisk } from './run-store.js';
+import { killProcessTree } from './process-tree.js';
+import {
+    appendRunLog,
+    readRunLog,
+    runLogPath,
+    forgetRunLog,
+    createLineBuffer,
+} from './run-log.js';
+import { parseResultsFile, mergeTestResults } from './results-parser.js';
+import { generateJunitXml, generateHtmlReport } from './report-generator.js';
+import { extractZipSafely, UnsafeArchiveError } from './safe-extract.js';
+import { authenticate, requireRole, canAccessRun } from './auth.js';
+import { sendWebhooks, readDeliveryLog, checkWebhookConfig } from './webhooks.js';
+import { checkoutGitSource, redactRepoUrl, GitSourceError } from './git-source.js';
+import { detectInstall, installDependencies, pruneDependencyCache } from './dependency-installer.js';
+import { createSecretsStore, SecretsError } from './secrets-store.js';
+import { maskSecrets } from './secret-masking.js';
+import { getInstalledBrowsers, getBrowserDetails } from './browsers.js';
+import { readSpecPattern, discoverSpecs, planShards } from './shard-planner.js';
+import { createProjectStore, ProjectError } from './project-store.js';
+import { collectTestHistories, summarizeTestHistory } from './test-history.js';
+import { compareTestResults } from './run-compare.js';
+import { createCounter, createGauge, createHistogram, renderMetrics } from './metrics.js';
+import { planRetention, appendAuditEntry, readAuditLog } from './retention.js';
+import { createBaselineStore, compareScreenshots, listScreenshots, VisualError } from './visual-regression.js';
+import { createArtifactStorage } from './artifact-storage.js';
+import { parseCron, nextCronTime, CronError } from './cron.js';
+import { ApiError, addErrorCodes } from './api-errors.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { createApiValidator } from './request-validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,7 +54,8 @@ const app = express();
 // Create necessary directories
 const logsDir = path.join(__dirname, '../logs');
 const runsDir = path.join(__dirname, '../runs');
-[logsDir, runsDir].forEach(dir => {
+const depsCacheDir = config.install.cacheDir || path.join(runsDir, '.deps-cache');
+[logsDir, runsDir, depsCacheDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
@@ -38,11 +72,18 @@ app.use(cors({
     credentials: true,
 }));
 
+// Every error body carries a machine-readable code (see api-errors.js)
+app.use(addErrorCodes);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: config.security.rateLimitWindowMs,
     max: config.security.rateLimitMaxRequests,
-    message: 'Too many requests from this IP, please try again later.',
+    message: {
+        ok: false,
+        error: 'Too many requests from this IP, please try again later.',
+        code: 'rate_limited',
+    },
     standardHeaders: true,
     legacyHeaders: false,
 });
@@ -53,15 +94,144 @@ app.use('/start', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// In-memory storage (consider using a database in production)
+// Run registry, mirrored to runs/<id>/run.json so it survives restarts
 const runs = new Map();
 const clients = new Map();
+const activeProcesses = new Map();
+
+// Encrypted named secrets (admin-managed, referenced by runs at start)
+const secretsStore = createSecretsStore({
+    filePath: config.secrets.file || path.join(runsDir, '.secrets.json'),
+    key: config.secrets.key,
+});
+
+// Saved projects that can be run on demand or on a cron schedule
+const projectStore = createProjectStore(config.projects.dir || path.join(runsDir, '.projects'));
+
+// Prometheus metrics (see GET /metrics). Browser and shard runs count as runs of their own.
+const runsStartedTotal = createCounter({
+    name: 'cypress_runner_runs_started_total',
+    help: 'Cypress runs that left the queue and started',
+});
+const runsFinishedTotal = createCounter({
+    name: 'cypress_runner_runs_finished_total',
+    help: 'Cypress runs that finished, by final status',
+});
+const runDurationSeconds = createHistogram({
+    name: 'cypress_runner_run_duration_seconds',
+    help: 'Time from start to finish of Cypress runs, by final status',
+    buckets: [30, 60, 120, 300, 600, 900, 1200, 1800, 3600],
+});
+const uploadSizeBytes = createHistogram({
+    name: 'cypress_runner_upload_size_bytes',
+    help: 'Size of files uploaded to /start',
+    buckets: [10e3, 100e3, 1e6, 10e6, 50e6, 100e6, 500e6],
+});
+const sseEventsTotal = createCounter({
+    name: 'cypress_runner_sse_events_total',
+    help: 'Log events written to SSE clients',
+});
+const cleanupDeletionsTotal = createCounter({
+    name: 'cypress_runner_cleanup_deletions_total',
+    help: 'Items removed by the periodic cleanup, by kind (run, dependency_cache)',
+});
+const artifactUploadsTotal = createCounter({
+    name: 'cypress_runner_artifact_uploads_total',
+    help: 'Artifact uploads of finished runs to the artifact storage, by driver and outcome',
+});
+
+// Measuring the runs directory walks every file, so a measurement is reused for a while
+const DISK_USAGE_MAX_AGE_MS = 60 * 1000;
+const runsDiskUsage = { bytes: 0, measuredAt: 0 };
+
+// Every deleted run is recorded here, whether cleanup or an admin removed it
+const deletionAuditLog = config.retention.auditLog || path.join(runsDir, '.deletions.jsonl');
+
+// Disk usage of finished runs (children included), measured once
+const runSizes = new Map();
+
+// Set while cleanup runs, so overlapping triggers share one pass
+let cleanupInProgress = null;
+
+// Where finished runs' artifacts are stored and downloaded from (run folders or S3)
+const artifactStorage = createArtifactStorage(config.storage, { localDir: runsDir });
+
+// Webhook deliveries are always signed, so WEBHOOK_URLS need a WEBHOOK_SECRET
+checkWebhookConfig(config.webhooks);
+
+// Run folders whose files are uploaded to the artifact storage
+const ARTIFACT_FOLDERS = ['cypress/videos', 'cypress/screenshots', 'results', 'visual'];
+
+// Approved screenshots per project and browser, for visual regression checks
+const baselineStore = createBaselineStore(config.visual.baselinesDir || path.join(runsDir, '.baselines'));
+
+// Run settings a project stores, in the same form /start accepts them
+const PROJECT_SETTING_FIELDS = ['baseUrl', 'priority', 'timeoutMinutes', 'webhooks', 'env', 'secrets', 'browser', 'shards'];
+
+// How often the scheduler looks for projects that are due
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// Names accepted for per-run env values and secrets (exposed as CYPRESS_<name>)
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Scheduler that limits how many Cypress processes run at the same time
+const runQueue = createRunQueue({
+    concurrency: config.runner.maxConcurrentRuns,
+    execute: runCypress,
+    onChange: announceQueuePositions,
+});
+
+// Gauges for /metrics, read when it is scraped
+createGauge({
+    name: 'cypress_runner_queue_depth',
+    help: 'Runs waiting in the queue',
+    collect: () => runQueue.pendingCount,
+});
+createGauge({
+    name: 'cypress_runner_active_runs',
+    help: 'Runs holding a concurrency slot',
+    collect: () => runQueue.activeCount,
+});
+createGauge({
+    name: 'cypress_runner_active_processes',
+    help: 'Cypress and dependency install processes currently running',
+    collect: () => activeProcesses.size,
+});
+createGauge({
+    name: 'cypress_runner_oldest_active_run_seconds',
+    help: 'How long the longest-running active run has been going (0 when idle)',
+    collect: () => {
+        const started = Array.from(runs.values())
+            .filter(run => run.status === 'running' && run.startedAt && !run.children)
+            .map(run => run.startedAt.getTime());
+        return started.length > 0 ? (Date.now() - Math.min(...started)) / 1000 : 0;
+    },
+});
+createGauge({
+    name: 'cypress_runner_runs',
+    help: 'Runs known to the server, by status',
+    collect: () => {
+        const counts = new Map();
+        runs.forEach(run => counts.set(run.status, (counts.get(run.status) || 0) + 1));
+        return Array.from(counts, ([status, value]) => ({ labels: { status }, value }));
+    },
+});
+createGauge({
+    name: 'cypress_runner_sse_clients',
+    help: 'Connected SSE log stream clients',
+    collect: () => Array.from(clients.values()).reduce((sum, runClients) => sum + runClients.length, 0),
+});
+createGauge({
+    name: 'cypress_runner_runs_disk_usage_bytes',
+    help: 'Disk space used by the runs directory (measured at most once a minute)',
+    collect: () => runsDiskUsage.bytes,
+});
+
+// Restore runs persisted by a previous process
+restoreRuns();
 
-// Static file serving
+// Static file serving (the UI itself is public so it can ask for a token)
 app.use(express.static(path.join(__dirname, '../public')));
-app.use('/videos', express.static(path.join(__dirname, '../runs')));
-app.use('/screenshots', express.static(path.join(__dirname, '../runs')));
-app.use('/results', express.static(path.join(__dirname, '../runs')));
 
 // Multer configuration with file size limits
 const upload = multer({
@@ -76,25 +246,118 @@ const upload = multer({
         if (isZip || isSpec) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Please upload a .zip or a .cy.{js,ts,mjs} file.'));
+            cb(new ApiError(400, 'unsupported_file_type', 'Invalid file type. Please upload a .zip or a .cy.{js,ts,mjs} file.'));
         }
     },
 });
 
+// OpenAPI description of the core routes, checked against requests to them
+const openApiDocument = buildOpenApiDocument(config);
+const api = createApiValidator(openApiDocument, { validateResponses: config.api.validateResponses });
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', api.validate('getHealth'), (req, res) => {
     res.json({
         ok: true,
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         runsCount: runs.size,
+        queue: {
+            pending: runQueue.pendingCount,
+            active: runQueue.activeCount,
+            concurrency: runQueue.concurrency,
+        },
     });
 });
 
+// The API description and its docs page are public, like the UI
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+    customSiteTitle: 'Cypress Runner API',
+    swaggerOptions: { persistAuthorization: true },
+}));
+
+// Everything below requires an API token (when tokens are configured)
+app.use(authenticate);
+
+// Runner health and throughput in the Prometheus text format
+app.get('/metrics', async (req, res) => {
+    try {
+        if (Date.now() - runsDiskUsage.measuredAt > DISK_USAGE_MAX_AGE_MS) {
+            runsDiskUsage.bytes = await getDirectorySize(runsDir);
+            runsDiskUsage.measuredAt = Date.now();
+        }
+
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics());
+    } catch (error) {
+        logger.error('Error rendering metrics:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to render metrics',
+        });
+    }
+});
+
+// Artifact files, limited to runs the caller may see
+app.use('/videos', authorizeRunFiles, express.static(path.join(__dirname, '../runs')));
+app.use('/screenshots', authorizeRunFiles, express.static(path.join(__dirname, '../runs')));
+app.use('/results', authorizeRunFiles, express.static(path.join(__dirname, '../runs')));
+app.use('/diffs', authorizeRunFiles, express.static(path.join(__dirname, '../runs')));
+
+// Artifacts in the artifact storage, streamed through the app for storage URLs that are
+// not presigned (and for the HTML report, whose relative links need the same base)
+app.get('/artifacts/:id/*', async (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        const relPath = req.params[0];
+        const file = run && artifactStorage.remote && run.storage && isArtifactPath(relPath)
+            ? await artifactStorage.get(`${run.id}/${relPath}`, { range: req.headers.range })
+            : null;
+        if (!file) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Artifact not found',
+            });
+        }
+
+        res.status(file.status).set(file.headers);
+        file.body.on('error', error => {
+            logger.error(`Error streaming artifact ${relPath} of run ${run.id}:`, error);
+            res.destroy(error);
+        });
+        file.body.pipe(res);
+    } catch (error) {
+        logger.error('Error downloading artifact:', error);
+        res.status(502).json({
+            ok: false,
+            error: 'Failed to download artifact from storage',
+        });
+    }
+});
+
+// Browsers installed on this machine, for the browser picker
+app.get('/browsers', async (req, res) => {
+    try {
+        res.json({
+            default: config.cypress.browser,
+            browsers: await getBrowserDetails(),
+        });
+    } catch (error) {
+        logger.error('Error detecting browsers:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to detect browsers',
+        });
+    }
+});
+
 // Start a new Cypress run
-app.post('/start', upload.single('file'), async (req, res) => {
+app.post('/start', upload.single('file'), api.validate('startRun'), async (req, res) => {
     try {
-        const { file, body: { baseUrl } } = req;
+        const { file } = req;
         
         if (!file) {
             return res.status(400).json({
@@ -103,77 +366,122 @@ app.post('/start', upload.single('file'), async (req, res) => {
             });
         }
 
-        // Validate baseUrl if provided
-        if (baseUrl && !isValidUrl(baseUrl)) {
+        const { settings, browsers, shards, error: settingsError } = parseRunSettings(req.body);
+        if (settingsError) {
             return res.status(400).json({
                 ok: false,
-                error: 'Invalid baseUrl format. Must be a valid HTTP(S) URL.',
+                error: settingsError,
             });
         }
 
-        logger.info(`Starting new run with file: ${file.originalname}`, { baseUrl });
+        uploadSizeBytes.observe(file.size);
+        logger.info(`Starting new run with file: ${file.originalname}`, { ...settings, browsers, shards });
 
-        const runId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${nanoid(6)}`;
-        const runPath = path.join(__dirname, '../runs', runId);
-        const workPath = path.join(runPath, 'work');
+        if (!isSupportedUpload(file.originalname)) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Invalid file type. Please upload a .zip or a .cy.{js,ts,mjs} file.',
+                code: 'unsupported_file_type',
+            });
+        }
 
-        fs.mkdirSync(runPath, { recursive: true });
-        fs.mkdirSync(workPath, { recursive: true });
+        const run = prepareRun({ ...settings, filename: file.originalname, owner: req.user.name });
 
-        const isZip = file.originalname.toLowerCase().endsWith('.zip');
-        const isSpec = /\.cy\.(js|ts|mjs)$/i.test(file.originalname);
+        try {
+            writeUploadedProject(run, file.originalname, file.buffer);
+        } catch (error) {
+            fs.rmSync(run.paths.runPath, { recursive: true, force: true });
+            if (error instanceof UnsafeArchiveError) {
+                logger.warn(`Rejected ZIP upload ${file.originalname}: ${error.message}`);
+                return res.status(400).json({
+                    ok: false,
+                    error: error.message,
+                    code: 'unsafe_archive',
+                    entry: error.entryName,
+                });
+            }
+            throw error;
+        }
 
-        if (isZip) {
-            logger.info(`Extracting ZIP file for run ${runId}`);
-            const zip = new AdmZip(file.buffer);
-            zip.extractAllTo(workPath, true);
-        } else if (isSpec) {
-            logger.info(`Setting up single spec file for run ${runId}`);
-            const specPath = path.join(workPath, 'cypress', 'e2e');
-            fs.mkdirSync(specPath, { recursive: true });
-            fs.writeFileSync(path.join(specPath, file.originalname), file.buffer);
+        await startRuns(run, { browsers, shards });
 
-            // Create minimal Cypress config
-            const cypressConfigContent = `const { defineConfig } = require('cypress');
+        res.json({
+            ok: true,
+            ...describeStartedRun(run),
+        });
 
-module.exports = defineConfig({
-    e2e: {
-        specPattern: 'cypress/e2e/**/*.cy.*',
-        supportFile: false,
-        video: ${config.cypress.videoEnabled},
-    },
+        // Cleanup old runs if needed
+        cleanupOldRuns();
+    } catch (error) {
+        logger.error('Error starting run:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to start Cypress run',
+            message: error.message,
+        });
+    }
 });
-`;
-            fs.writeFileSync(path.join(workPath, 'cypress.config.cjs'), cypressConfigContent);
-        } else {
+
+// Start a new Cypress run from a git repository
+app.post('/start/git', async (req, res) => {
+    let run;
+    try {
+        const { repoUrl, ref, subdirectory } = req.body || {};
+
+        if (!repoUrl) {
             return res.status(400).json({
                 ok: false,
-                error: 'Invalid file type. Please upload a .zip or a .cy.{js,ts,mjs} file.',
+                error: 'repoUrl is required',
             });
         }
 
-        runs.set(runId, {
-            id: runId,
-            createdAt: new Date(),
-            status: 'queued',
-            baseUrl,
-            filename: file.originalname,
-            paths: { runPath, workPath },
+        const { settings, browsers, shards, error: settingsError } = parseRunSettings(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                ok: false,
+                error: settingsError,
+            });
+        }
+
+        logger.info(`Starting new run from git repository ${redactRepoUrl(repoUrl)}`, {
+            ref,
+            subdirectory,
+            ...settings,
+            browsers,
+            shards,
         });
 
+        run = prepareRun({
+            ...settings,
+            filename: gitRunName({ repoUrl, ref, subdirectory }),
+            owner: req.user.name,
+        });
+        await checkoutIntoRun(run, { repoUrl, ref, subdirectory });
+
+        await startRuns(run, { browsers, shards });
+
         res.json({
             ok: true,
-            runId,
-            stream: `/runs/${runId}/stream`,
+            ...describeStartedRun(run),
+            commit: run.source.commit,
         });
 
-        // Run Cypress in the background
-        setImmediate(() => runCypress(runId));
-
         // Cleanup old runs if needed
         cleanupOldRuns();
     } catch (error) {
-        logger.error('Error starting run:', error);
+        if (run && !runs.has(run.id)) {
+            fs.rmSync(run.paths.runPath, { recursive: true, force: true });
+        }
+
+        if (error instanceof GitSourceError) {
+            logger.warn(`Rejected git run: ${error.message}`);
+            return res.status(400).json({
+                ok: false,
+                error: error.message,
+            });
+        }
+
+        logger.error('Error starting git run:', error);
         res.status(500).json({
             ok: false,
             error: 'Failed to start Cypress run',
@@ -182,49 +490,179 @@ module.exports = defineConfig({
     }
 });
 
+// Re-run an existing run's project, optionally only the specs that failed
+app.post('/runs/:id/rerun', (req, res) => {
+    try {
+        const source = findAccessibleRun(req);
+        if (!source) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        if (source.children) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Re-run the browser or shard runs of this run individually',
+            });
+        }
+
+        if (!fs.existsSync(source.paths.workPath)) {
+            return res.status(410).json({
+                ok: false,
+                error: 'The project files of this run are no longer available',
+            });
+        }
+
+        const failedOnly = req.body?.failedOnly === true || req.body?.failedOnly === 'true';
+        let specs = source.specs;
+        if (failedOnly) {
+            specs = getFailedSpecs(source);
+            if (specs.length === 0) {
+                return res.status(409).json({
+                    ok: false,
+                    error: 'The run has no failed specs to re-run',
+                });
+            }
+        }
+
+        const run = prepareRun({
+            baseUrl: source.baseUrl,
+            priority: source.priority || 0,
+            timeoutMinutes: source.timeoutMinutes,
+            filename: source.filename,
+            specs,
+            rerunOf: source.id,
+            source: source.source,
+            webhooks: source.webhooks,
+            env: source.env,
+            secrets: source.secrets,
+            browser: source.browser,
+            owner: req.user.name,
+        });
+        copyProject(source.paths.workPath, run.paths.workPath);
+
+        logger.info(`Re-running ${source.id} as ${run.id}`, { failedOnly, specs });
+        enqueueRun(run);
+
+        res.json({
+            ok: true,
+            runId: run.id,
+            rerunOf: source.id,
+            specs: run.specs || null,
+            stream: `/runs/${run.id}/stream`,
+            queuePosition: runQueue.position(run.id),
+        });
+
+        cleanupOldRuns();
+    } catch (error) {
+        logger.error('Error re-running run:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to re-run Cypress run',
+            message: error.message,
+        });
+    }
+});
+
 // Get all runs
-app.get('/runs', (req, res) => {
+app.get('/runs', api.validate('listRuns'), (req, res) => {
+    try {
+        // Browser runs of a multi-browser run are listed under their parent
+        const runList = Array.from(runs.values())
+            .filter(run => canAccessRun(req.user, run) && !runs.has(run.parentId))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        res.json(runList.map(serializeRun));
+    } catch (error) {
+        logger.error('Error fetching runs:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to fetch runs',
+        });
+    }
+});
+
+// Diff the parsed results of two runs: newly failing and passing, added and removed
+// tests, and tests whose duration changed by more than `threshold` (default 0.5 = 50%)
+app.get('/runs/compare', (req, res) => {
     try {
-        const runList = Array.from(runs.values()).sort((a, b) => b.createdAt - a.createdAt);
-        res.json(runList.map(run => ({
+        const { base: baseId, head: headId } = req.query;
+        if (!baseId || !headId) {
+            return res.status(400).json({
+                ok: false,
+                error: 'base and head run ids are required',
+            });
+        }
+
+        const threshold = req.query.threshold === undefined ? 0.5 : Number(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Invalid threshold. Must be a non-negative number.',
+            });
+        }
+
+        const sides = [];
+        for (const runId of [baseId, headId]) {
+            const run = runs.get(runId);
+            if (!canAccessRun(req.user, run)) {
+                return res.status(404).json({
+                    ok: false,
+                    error: `Run not found: ${runId}`,
+                });
+            }
+            const testResults = readTestResults(run);
+            if (!testResults) {
+                return res.status(404).json({
+                    ok: false,
+                    error: `No test results available for run ${runId}`,
+                });
+            }
+            sides.push({ run, testResults });
+        }
+
+        const [base, head] = sides;
+        const describeSide = ({ run, testResults }) => ({
             id: run.id,
-            createdAt: run.createdAt,
             status: run.status,
-            baseUrl: run.baseUrl,
+            createdAt: run.createdAt,
             filename: run.filename,
-            videos: getRunVideos(run.id),
-            screenshots: getRunScreenshots(run.id),
-            resultsJson: getRunResults(run.id),
-        })));
+            browser: run.browser || config.cypress.browser,
+            summary: testResults.summary,
+        });
+        const artifactsOf = run => ({ videos: getRunVideos(run.id), screenshots: getRunScreenshots(run.id) });
+
+        res.json({
+            base: describeSide(base),
+            head: describeSide(head),
+            threshold,
+            ...compareTestResults(base.testResults, head.testResults, {
+                threshold,
+                baseArtifacts: artifactsOf(base.run),
+                headArtifacts: artifactsOf(head.run),
+            }),
+        });
     } catch (error) {
-        logger.error('Error fetching runs:', error);
+        logger.error('Error comparing runs:', error);
         res.status(500).json({
             ok: false,
-            error: 'Failed to fetch runs',
+            error: 'Failed to compare runs',
         });
     }
 });
 
 // Get a specific run
-app.get('/runs/:id', (req, res) => {
+app.get('/runs/:id', api.validate('getRun'), (req, res) => {
     try {
-        const run = runs.get(req.params.id);
+        const run = findAccessibleRun(req);
         if (!run) {
             return res.status(404).json({
                 ok: false,
                 error: 'Run not found',
             });
         }
-        res.json({
-            id: run.id,
-            createdAt: run.createdAt,
-            status: run.status,
-            baseUrl: run.baseUrl,
-            filename: run.filename,
-            videos: getRunVideos(run.id),
-            screenshots: getRunScreenshots(run.id),
-            resultsJson: getRunResults(run.id),
-        });
+        res.json(serializeRun(run));
     } catch (error) {
         logger.error('Error fetching run:', error);
         res.status(500).json({
@@ -232,52 +670,1668 @@ app.get('/runs/:id', (req, res) => {
             error: 'Failed to fetch run details',
         });
     }
-});
+});
+
+// Delete a finished run and its files (admin only)
+app.delete('/runs/:id', requireRole('admin'), (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        if (isRunActive(run)) {
+            return res.status(409).json({
+                ok: false,
+                error: 'Cancel the run before deleting it',
+            });
+        }
+
+        const bytes = runSizes.get(run.id) ?? null;
+        deleteRun(run);
+        recordDeletion(run, { trigger: 'manual', by: req.user.name, reasons: ['deleted by an admin'], bytes });
+        logger.info(`Run ${run.id} deleted by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            runId: run.id,
+        });
+    } catch (error) {
+        logger.error('Error deleting run:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to delete run',
+        });
+    }
+});
+
+// Download every artifact of a run as a single ZIP
+app.get('/runs/:id/artifacts.zip', async (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        if (isRunActive(run)) {
+            return res.status(409).json({
+                ok: false,
+                error: 'Artifacts are available once the run has finished',
+            });
+        }
+
+        // Streamed as it is built: videos and the project copy can be far too large to buffer
+        const archive = createArtifactsZip(run);
+        archive.on('warning', error => {
+            logger.warn(`Skipped a file in the artifacts ZIP of run ${run.id}: ${error.message}`);
+        });
+        // A client that goes away stops the archive
+        res.on('close', () => {
+            if (!res.writableFinished) archive.abort();
+        });
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${run.id}-artifacts.zip"`,
+        });
+        archive.pipe(res);
+        await archive.finalize();
+    } catch (error) {
+        logger.error('Error building artifacts ZIP:', error);
+        // Once the ZIP has started the status is sent; cutting the download short is all that is left
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to build artifacts ZIP',
+        });
+    }
+});
+
+// Get the parsed per-spec and per-test results of a run
+app.get('/runs/:id/tests', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        const testResults = readTestResults(run);
+        if (!testResults) {
+            return res.status(404).json({
+                ok: false,
+                error: 'No test results available for this run',
+            });
+        }
+
+        res.json({
+            id: run.id,
+            status: run.status,
+            ...testResults,
+        });
+    } catch (error) {
+        logger.error('Error fetching test results:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to fetch test results',
+        });
+    }
+});
+
+// Pin a run so retention never deletes it
+app.put('/runs/:id/pin', (req, res) => setRunPinned(req, res, true));
+
+// Unpin a run; retention treats it like any other run again
+app.delete('/runs/:id/pin', (req, res) => setRunPinned(req, res, false));
+
+function setRunPinned(req, res, pinned) {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+        if (runs.has(run.parentId)) {
+            return res.status(400).json({
+                ok: false,
+                error: `Pin the run this one belongs to instead: ${run.parentId}`,
+            });
+        }
+
+        run.pinned = pinned ? { by: req.user.name, at: new Date() } : null;
+        persistRun(run);
+        logger.info(`Run ${run.id} ${pinned ? 'pinned' : 'unpinned'} by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            runId: run.id,
+            pinned: run.pinned,
+        });
+    } catch (error) {
+        logger.error('Error pinning run:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to update run',
+        });
+    }
+}
+
+// Visual regression results of a run, screenshot by screenshot
+app.get('/runs/:id/visual', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        const baseline = run.children && !run.shards ? null : baselineStore.get(baselineKey(run));
+        res.json({
+            id: run.id,
+            visual: run.visual || null,
+            baseline: baseline ? { runId: baseline.runId, approvedBy: baseline.approvedBy, approvedAt: baseline.approvedAt, screenshots: baseline.screenshots.length } : null,
+            screenshots: readVisualScreenshots(run),
+        });
+    } catch (error) {
+        logger.error('Error fetching visual results:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to fetch visual results',
+        });
+    }
+});
+
+// Approve a run's screenshots as the new baseline of its project and browser:
+// all of them, or only { "screenshots": ["spec.cy.js/name.png", ...] }
+app.post('/runs/:id/visual/approve', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        const names = req.body && req.body.screenshots;
+        if (names !== undefined && (!Array.isArray(names) || names.some(name => typeof name !== 'string'))) {
+            return res.status(400).json({
+                ok: false,
+                error: 'screenshots must be a list of screenshot names',
+            });
+        }
+
+        const baseline = approveScreenshots(run, names, req.user.name);
+        res.json({
+            ok: true,
+            runId: run.id,
+            baseline,
+        });
+    } catch (error) {
+        if (error instanceof VisualError) {
+            return res.status(400).json({
+                ok: false,
+                error: error.message,
+            });
+        }
+        logger.error('Error approving screenshots:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to approve screenshots',
+        });
+    }
+});
+
+// Reject a run's visual changes: the baseline stays as it is
+app.post('/runs/:id/visual/reject', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+        if (!run.visual) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Run was not compared with a baseline',
+            });
+        }
+
+        run.visual = { ...run.visual, review: 'rejected', reviewedBy: req.user.name, reviewedAt: new Date() };
+        persistRun(run);
+        logger.info(`Visual changes of run ${run.id} rejected by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            runId: run.id,
+            visual: run.visual,
+        });
+    } catch (error) {
+        logger.error('Error rejecting visual changes:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to reject visual changes',
+        });
+    }
+});
+
+// Per-test history across the caller's runs, most flaky first. Filters: spec, title
+// (title or full title), project (as reported in the results) and flaky=true; limit caps the list.
+app.get('/tests/history', (req, res) => {
+    try {
+        const { spec, title, project, flaky } = req.query;
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Invalid limit. Must be a positive integer.',
+            });
+        }
+
+        const entries = Array.from(runs.values())
+            .filter(run => !run.children && canAccessRun(req.user, run) && !isRunActive(run))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(run => {
+                try {
+                    const results = readTestResults(run);
+                    if (!results) return null;
+                    return { run, project: projectKey(run), browser: run.browser || config.cypress.browser, results };
+                } catch (error) {
+                    logger.error(`Error reading test results of run ${run.id}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+
+        const tests = collectTestHistories(entries)
+            .filter(test => !spec || test.spec === spec)
+            .filter(test => !title || test.title === title || test.fullTitle === title)
+            .filter(test => !project || test.project === project)
+            .map(test => ({ ...test, ...summarizeTestHistory(test.timeline) }))
+            .filter(test => flaky !== 'true' || test.flakinessScore > 0)
+            .sort((a, b) => b.flakinessScore - a.flakinessScore
+                || b.failureRate - a.failureRate
+                || a.spec.localeCompare(b.spec)
+                || a.fullTitle.localeCompare(b.fullTitle));
+
+        res.json({
+            total: tests.length,
+            tests: tests.slice(0, limit),
+        });
+    } catch (error) {
+        logger.error('Error building test history:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to build test history',
+        });
+    }
+});
+
+// Get the webhook delivery log of a run
+app.get('/runs/:id/webhooks', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        res.json({
+            id: run.id,
+            webhooks: run.webhooks || [],
+            deliveries: readDeliveryLog(run),
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to fetch webhook deliveries',
+        });
+    }
+});
+
+// Cancel a queued or running run
+app.post('/runs/:id/cancel', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        if (!isRunActive(run)) {
+            return res.status(409).json({
+                ok: false,
+                error: `Run is already ${run.status}`,
+            });
+        }
+
+        logger.info(`Cancelling run ${run.id}`);
+        const status = stopRun(run, 'cancelled', 'Run cancelled by user');
+
+        res.json({
+            ok: true,
+            runId: run.id,
+            status,
+        });
+    } catch (error) {
+        logger.error('Error cancelling run:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to cancel run',
+        });
+    }
+});
+
+// Download the full output log of a run
+app.get('/runs/:id/log', (req, res) => {
+    try {
+        const run = findAccessibleRun(req);
+        if (!run) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Run not found',
+            });
+        }
+
+        const logPath = runLogPath(run);
+        if (!fs.existsSync(logPath)) {
+            return res.status(404).json({
+                ok: false,
+                error: 'No log available for this run',
+            });
+        }
+
+        res.download(logPath, `${run.id}.log`);
+    } catch (error) {
+        logger.error('Error downloading run log:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to download run log',
+        });
+    }
+});
+
+// SSE stream for live logs. Every line carries an event id, so clients that
+// reconnect with Last-Event-ID (or ?lastEventId=) receive what they missed.
+app.get('/runs/:id/stream', api.validate('streamRunLog'), (req, res) => {
+    const runId = req.params.id;
+    const run = findAccessibleRun(req);
+    
+    if (!run) {
+        return res.status(404).json({
+            ok: false,
+            error: 'Run not found',
+        });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+
+    readRunLog(run, lastEventId).forEach(event => writeEvent(res, event));
+
+    // Nothing more will be written for finished runs
+    if (!isRunActive(run)) {
+        return res.end();
+    }
+
+    if (!clients.has(runId)) {
+        clients.set(runId, []);
+    }
+    clients.get(runId).push(res);
+
+    logger.info(`Client connected to stream for run ${runId}`, { lastEventId });
+
+    req.on('close', () => {
+        const runClients = clients.get(runId) || [];
+        clients.set(runId, runClients.filter(c => c !== res));
+        logger.info(`Client disconnected from stream for run ${runId}`);
+    });
+});
+
+// List secrets (names and timestamps only; admin only)
+app.get('/secrets', requireRole('admin'), (req, res) => {
+    if (!secretsStore.enabled) {
+        return res.status(503).json({
+            ok: false,
+            error: 'Secrets are disabled; set SECRETS_KEY to enable them',
+        });
+    }
+    res.json(secretsStore.list());
+});
+
+// Create or replace a secret (admin only)
+app.put('/secrets/:name', requireRole('admin'), (req, res) => {
+    try {
+        const created = secretsStore.set(req.params.name, req.body?.value, req.user.name);
+        logger.info(`Secret ${req.params.name} ${created ? 'created' : 'updated'} by ${req.user.name}`);
+
+        res.status(created ? 201 : 200).json({
+            ok: true,
+            name: req.params.name,
+            created,
+        });
+    } catch (error) {
+        if (error instanceof SecretsError) {
+            return res.status(secretsStore.enabled ? 400 : 503).json({
+                ok: false,
+                error: error.message,
+            });
+        }
+        logger.error('Error saving secret:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to save secret',
+        });
+    }
+});
+
+// Delete a secret (admin only); runs that reference it fail when they start
+app.delete('/secrets/:name', requireRole('admin'), (req, res) => {
+    try {
+        if (!secretsStore.enabled) {
+            return res.status(503).json({
+                ok: false,
+                error: 'Secrets are disabled; set SECRETS_KEY to enable them',
+            });
+        }
+        if (!secretsStore.remove(req.params.name)) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Secret not found',
+            });
+        }
+        logger.info(`Secret ${req.params.name} deleted by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            name: req.params.name,
+        });
+    } catch (error) {
+        logger.error('Error deleting secret:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to delete secret',
+        });
+    }
+});
+
+// Dry run of the retention policy: the runs cleanup would delete now, and why
+app.get('/admin/retention/preview', requireRole('admin'), async (req, res) => {
+    try {
+        const plan = await buildRetentionPlan();
+        const freedBytes = plan.totalBytes - plan.remainingBytes;
+
+        res.json({
+            policy: {
+                maxRuns: config.upload.maxRunsRetention,
+                maxAgeDays: config.retention.maxAgeDays,
+                maxAgeDaysByStatus: config.retention.maxAgeDaysByStatus,
+                diskBudgetMB: config.retention.diskBudgetMB,
+            },
+            totalBytes: plan.totalBytes,
+            freedBytes,
+            remainingBytes: plan.remainingBytes,
+            deletions: plan.deletions.map(({ run, reasons }) => ({
+                id: run.id,
+                createdAt: run.createdAt,
+                status: run.status,
+                owner: run.owner || null,
+                filename: run.filename,
+                bytes: runSizes.get(run.id) ?? null,
+                reasons,
+            })),
+        });
+    } catch (error) {
+        logger.error('Error previewing retention:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to preview retention',
+        });
+    }
+});
+
+// Latest entries of the deletion audit log, newest first
+app.get('/admin/retention/audit', requireRole('admin'), (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Invalid limit. Must be a positive integer.',
+            });
+        }
+
+        res.json(readAuditLog(deletionAuditLog, limit));
+    } catch (error) {
+        logger.error('Error reading deletion audit log:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to read deletion audit log',
+        });
+    }
+});
+
+// List the saved projects the caller may see
+app.get('/projects', (req, res) => {
+    try {
+        const projects = projectStore.list().filter(project => canAccessRun(req.user, project));
+        res.json(projects.map(serializeProject));
+    } catch (error) {
+        logger.error('Error fetching projects:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to fetch projects',
+        });
+    }
+});
+
+// Save a project: an uploaded bundle (multipart "file") or a git source, run settings
+// as accepted by /start, and an optional cron schedule
+app.post('/projects', upload.single('file'), (req, res) => {
+    try {
+        const { project, bundle } = buildProject(
+            { id: nanoid(10), owner: req.user.name, createdAt: new Date(), paused: false, schedule: null },
+            req.body || {},
+            req.file
+        );
+        saveProject(project, bundle);
+        logger.info(`Project ${project.id} (${project.name}) created by ${req.user.name}`);
+
+        res.status(201).json({
+            ok: true,
+            project: serializeProject(project),
+        });
+    } catch (error) {
+        sendProjectError(res, error, 'Failed to save project');
+    }
+});
+
+// Get a saved project
+app.get('/projects/:id', (req, res) => {
+    const project = findAccessibleProject(req);
+    if (!project) {
+        return res.status(404).json({
+            ok: false,
+            error: 'Project not found',
+        });
+    }
+    res.json(serializeProject(project));
+});
+
+// Update a project; only the given fields change (an empty value clears a setting).
+// { "paused": true } pauses its schedule.
+app.patch('/projects/:id', upload.single('file'), (req, res) => {
+    try {
+        const existing = findAccessibleProject(req);
+        if (!existing) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Project not found',
+            });
+        }
+
+        const { project, bundle } = buildProject(existing, req.body || {}, req.file);
+        saveProject(project, bundle);
+        logger.info(`Project ${project.id} updated by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            project: serializeProject(project),
+        });
+    } catch (error) {
+        sendProjectError(res, error, 'Failed to save project');
+    }
+});
+
+// Delete a project; its past runs are kept
+app.delete('/projects/:id', (req, res) => {
+    try {
+        const project = findAccessibleProject(req);
+        if (!project) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Project not found',
+            });
+        }
+
+        projectStore.remove(project.id);
+        logger.info(`Project ${project.id} deleted by ${req.user.name}`);
+
+        res.json({
+            ok: true,
+            projectId: project.id,
+        });
+    } catch (error) {
+        logger.error('Error deleting project:', error);
+        res.status(500).json({
+            ok: false,
+            error: 'Failed to delete project',
+        });
+    }
+});
+
+// Run a project now
+app.post('/projects/:id/run', async (req, res) => {
+    try {
+        const project = findAccessibleProject(req);
+        if (!project) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Project not found',
+            });
+        }
+
+        const run = await startProjectRun(project, { trigger: 'manual', owner: req.user.name });
+
+        res.json({
+            ok: true,
+            ...describeStartedRun(run),
+        });
+    } catch (error) {
+        sendProjectError(res, error, 'Failed to start Cypress run');
+    }
+});
+
+// Write one numbered log line as an SSE event
+function writeEvent(res, { id, line }) {
+    res.write(`id: ${id}\ndata: ${line}\n\n`);
+}
+
+// Helper function to log a message to the run's output.log and broadcast it to SSE clients
+function broadcast(runId, data) {
+    const run = runs.get(runId);
+    if (!run) return;
+
+    let events;
+    try {
+        events = appendRunLog(run, maskSecrets(String(data)));
+    } catch (error) {
+        logger.error(`Error writing log for run ${runId}:`, error);
+        return;
+    }
+
+    const runClients = clients.get(runId) || [];
+    runClients.forEach(client => {
+        try {
+            events.forEach(event => writeEvent(client, event));
+            sseEventsTotal.inc({}, events.length);
+        } catch (error) {
+            logger.error(`Error broadcasting to client for run ${runId}:`, error);
+        }
+    });
+
+    // A parent run's stream interleaves its browser or shard runs, each line labelled
+    if (run.parentId) {
+        broadcast(run.parentId, events.map(event => `[${childLabel(run)}] ${event.line}`).join('\n'));
+    }
+}
+
+// Look up the run named in the route, hiding runs the caller may not see
+function findAccessibleRun(req) {
+    const run = runs.get(req.params.id);
+    return canAccessRun(req.user, run) ? run : null;
+}
+
+// Guard for the artifact mounts, whose paths start with /<runId>/
+function authorizeRunFiles(req, res, next) {
+    const runId = req.path.split('/')[1];
+    if (!canAccessRun(req.user, runs.get(runId))) {
+        return res.status(404).json({
+            ok: false,
+            error: 'Not found',
+        });
+    }
+    next();
+}
+
+// Remove a run's files, here and in the artifact storage, and forget it
+function deleteRun(run) {
+    getChildRuns(run).forEach(deleteRun);
+    fs.rmSync(run.paths.runPath, { recursive: true, force: true });
+    removeStoredArtifacts(run);
+    runs.delete(run.id);
+    runSizes.delete(run.id);
+    forgetRunLog(run.id);
+}
+
+// Append a deleted run to the audit log; a failing write must not undo the deletion
+function recordDeletion(run, { trigger, by, reasons, bytes }) {
+    try {
+        appendAuditEntry(deletionAuditLog, {
+            deletedAt: new Date(),
+            runId: run.id,
+            trigger,
+            by,
+            reasons,
+            status: run.status,
+            owner: run.owner || null,
+            filename: run.filename,
+            createdAt: run.createdAt,
+            children: run.children || null,
+            storage: run.storage ? run.storage.driver : null,
+            bytes,
+        });
+    } catch (error) {
+        logger.error(`Error writing deletion audit entry for run ${run.id}:`, error);
+    }
+}
+
+// Bytes a run (with its browser or shard runs) takes on disk
+async function getRunSize(run) {
+    if (runSizes.has(run.id)) return runSizes.get(run.id);
+
+    let bytes = await getDirectorySize(run.paths.runPath);
+    for (const child of getChildRuns(run)) {
+        bytes += await getDirectorySize(child.paths.runPath);
+    }
+    // Finished runs no longer grow
+    if (!isRunActive(run)) {
+        runSizes.set(run.id, bytes);
+    }
+    return bytes;
+}
+
+// What the retention policy would delete right now
+async function buildRetentionPlan() {
+    // Browser and shard runs go together with their parent
+    const topLevel = Array.from(runs.values()).filter(run => !runs.has(run.parentId));
+    const sizes = new Map();
+    for (const run of topLevel) {
+        sizes.set(run.id, await getRunSize(run));
+    }
+
+    return planRetention(topLevel, {
+        sizes,
+        policy: {
+            maxRuns: config.upload.maxRunsRetention,
+            maxAgeDays: config.retention.maxAgeDays,
+            maxAgeDaysByStatus: config.retention.maxAgeDaysByStatus,
+            diskBudgetBytes: config.retention.diskBudgetMB * 1024 * 1024,
+        },
+    });
+}
+
+// Validate the optional settings shared by every way of starting a run
+function parseRunSettings({ baseUrl, priority, timeoutMinutes, webhooks, env, secrets, browser, shards } = {}) {
+    // Validate baseUrl if provided
+    if (baseUrl && !isValidUrl(baseUrl)) {
+        return { error: 'Invalid baseUrl format. Must be a valid HTTP(S) URL.' };
+    }
+
+    // Validate priority if provided (higher runs first)
+    if (priority !== undefined && priority !== '' && !/^-?\d+$/.test(String(priority))) {
+        return { error: 'Invalid priority. Must be an integer.' };
+    }
+
+    // Validate timeout if provided; uploads may only lower the server maximum
+    const maxDuration = config.runner.maxRunDurationMinutes;
+    let runTimeout = maxDuration;
+    if (timeoutMinutes !== undefined && timeoutMinutes !== '') {
+        const requested = Number(timeoutMinutes);
+        if (!Number.isFinite(requested) || requested <= 0) {
+            return { error: 'Invalid timeoutMinutes. Must be a positive number.' };
+        }
+        runTimeout = Math.min(requested, maxDuration);
+    }
+
+    // Validate per-run webhook URLs if provided (comma- or newline-separated, or a list)
+    const webhookUrls = (Array.isArray(webhooks) ? webhooks : String(webhooks || '').split(/[,\n]/))
+        .map(url => url.trim())
+        .filter(Boolean);
+    const invalidWebhook = webhookUrls.find(url => !isValidUrl(url));
+    if (invalidWebhook) {
+        return { error: `Invalid webhook URL: ${invalidWebhook}` };
+    }
+    if (webhookUrls.length > 0 && !config.webhooks.secret) {
+        return { error: 'Webhooks cannot be used: WEBHOOK_SECRET is not set on the server' };
+    }
+
+    const { env: runEnv, error: envError } = parseRunEnv(env);
+    if (envError) {
+        return { error: envError };
+    }
+
+    const { secrets: secretRefs, error: secretsError } = parseSecretRefs(secrets);
+    if (secretsError) {
+        return { error: secretsError };
+    }
+    const duplicate = secretRefs.find(ref => runEnv && ref.env in runEnv);
+    if (duplicate) {
+        return { error: `${duplicate.env} is set both as an env value and as a secret` };
+    }
+
+    // Validate browsers if provided (comma-separated or a list); several fan out into one run each
+    const browsers = [...new Set((Array.isArray(browser) ? browser : String(browser || '').split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean))];
+    const installedBrowsers = getInstalledBrowsers().map(installed => installed.name);
+    const missingBrowser = browsers.find(name => !installedBrowsers.includes(name));
+    if (missingBrowser) {
+        return { error: `Browser "${missingBrowser}" is not installed. Available: ${installedBrowsers.join(', ')}` };
+    }
+
+    // Validate shard count if provided
+    let shardCount = 1;
+    if (shards !== undefined && shards !== '') {
+        shardCount = Number(shards);
+        if (!Number.isInteger(shardCount) || shardCount < 1 || shardCount > config.runner.maxShards) {
+            return { error: `Invalid shards. Must be an integer from 1 to ${config.runner.maxShards}.` };
+        }
+        if (shardCount > 1 && browsers.length > 1) {
+            return { error: 'shards cannot be combined with several browsers' };
+        }
+    }
+
+    return {
+        settings: {
+            baseUrl,
+            priority: priority !== undefined && priority !== '' ? parseInt(priority, 10) : 0,
+            timeoutMinutes: runTimeout,
+            webhooks: webhookUrls.length > 0 ? webhookUrls : undefined,
+            env: runEnv,
+            secrets: secretRefs.length > 0 ? secretRefs : undefined,
+        },
+        browsers,
+        shards: shardCount,
+    };
+}
+
+// Per-run Cypress env values: an object (or its JSON, from multipart forms) of scalar values
+function parseRunEnv(env) {
+    if (env === undefined || env === '') return {};
+
+    let values = env;
+    if (typeof env === 'string') {
+        try {
+            values = JSON.parse(env);
+        } catch {
+            return { error: 'Invalid env. Must be a JSON object.' };
+        }
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return { error: 'Invalid env. Must be a JSON object.' };
+    }
+
+    const runEnv = {};
+    for (const [name, value] of Object.entries(values)) {
+        if (!ENV_NAME_PATTERN.test(name)) {
+            return { error: `Invalid env name: ${name}` };
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            return { error: `Invalid value for env ${name}. Must be a string, number or boolean.` };
+        }
+        runEnv[name] = String(value);
+    }
+    return { env: Object.keys(runEnv).length > 0 ? runEnv : undefined };
+}
+
+// Secrets to expose to a run: "NAME" or "ENV_NAME=secretName" items, comma-separated or a list
+function parseSecretRefs(secrets) {
+    const items = (Array.isArray(secrets) ? secrets : String(secrets || '').split(/[,\n]/))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    if (items.length === 0) return { secrets: [] };
+
+    if (!secretsStore.enabled) {
+        return { error: 'Secrets are disabled; set SECRETS_KEY to enable them' };
+    }
+
+    const refs = [];
+    for (const item of items) {
+        const [envName, secretName = envName] = item.split('=').map(part => part.trim());
+        if (!ENV_NAME_PATTERN.test(envName)) {
+            return { error: `Invalid env name for secret ${secretName}: ${envName}` };
+        }
+        if (!secretsStore.has(secretName)) {
+            return { error: `Unknown secret: ${secretName}` };
+        }
+        refs.push({ env: envName, name: secretName });
+    }
+    return { secrets: refs };
+}
+
+// Environment for a run's Cypress process: CYPRESS_<name> is exposed to specs as Cypress.env('<name>').
+// Secret values are resolved here, at spawn time, and never stored with the run.
+function buildCypressEnv(run) {
+    const cypressEnv = {};
+    Object.entries(run.env || {}).forEach(([name, value]) => {
+        cypressEnv[`CYPRESS_${name}`] = value;
+    });
+    (run.secrets || []).forEach(ref => {
+        const value = secretsStore.enabled ? secretsStore.reveal(ref.name) : null;
+        if (value === null) {
+            throw new SecretsError(`Secret "${ref.name}" is no longer available`);
+        }
+        cypressEnv[`CYPRESS_${ref.env}`] = value;
+    });
+    return cypressEnv;
+}
+
+// Create the directories and record for a new run (not yet registered or queued)
+function prepareRun(fields) {
+    const runId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${nanoid(6)}`;
+    const runPath = path.join(runsDir, runId);
+    const workPath = path.join(runPath, 'work');
+
+    fs.mkdirSync(runPath, { recursive: true });
+    fs.mkdirSync(workPath, { recursive: true });
+
+    return {
+        id: runId,
+        createdAt: new Date(),
+        status: 'queued',
+        ...fields,
+        paths: { runPath, workPath },
+    };
+}
+
+function isSupportedUpload(filename) {
+    return filename.toLowerCase().endsWith('.zip') || /\.cy\.(js|ts|mjs)$/i.test(filename);
+}
+
+// Lay out an uploaded ZIP or single spec file as the run's project
+function writeUploadedProject(run, filename, buffer) {
+    const { workPath } = run.paths;
+
+    if (filename.toLowerCase().endsWith('.zip')) {
+        logger.info(`Extracting ZIP file for run ${run.id}`);
+        extractZipSafely(buffer, workPath, {
+            maxEntries: config.upload.maxZipEntries,
+            maxTotalBytes: config.upload.maxExtractedSizeMB * 1024 * 1024,
+            maxCompressionRatio: config.upload.maxCompressionRatio,
+        });
+        return;
+    }
+
+    logger.info(`Setting up single spec file for run ${run.id}`);
+    const specPath = path.join(workPath, 'cypress', 'e2e');
+    fs.mkdirSync(specPath, { recursive: true });
+    fs.writeFileSync(path.join(specPath, filename), buffer);
+
+    // Create minimal Cypress config
+    const cypressConfigContent = `const { defineConfig } = require('cypress');
+
+module.exports = defineConfig({
+    e2e: {
+        specPattern: 'cypress/e2e/**/*.cy.*',
+        supportFile: false,
+        video: ${config.cypress.videoEnabled},
+    },
+});
+`;
+    fs.writeFileSync(path.join(workPath, 'cypress.config.cjs'), cypressConfigContent);
+}
+
+// Display name of a git run, e.g. "repo/e2e@main"
+function gitRunName({ repoUrl, ref, subdirectory }) {
+    const repoName = path.basename(redactRepoUrl(repoUrl).replace(/\/+$/, '')).replace(/\.git$/, '');
+    return `${repoName}${subdirectory ? `/${subdirectory}` : ''}@${ref || 'HEAD'}`;
+}
+
+// Clone a git source into the run's project directory and record the resolved commit
+async function checkoutIntoRun(run, { repoUrl, ref, subdirectory }) {
+    const displayUrl = redactRepoUrl(repoUrl);
+    const commit = await checkoutGitSource({
+        repoUrl,
+        ref,
+        subdirectory,
+        destination: run.paths.workPath,
+        timeoutMs: config.git.cloneTimeoutMs,
+    });
+    run.source = {
+        type: 'git',
+        repoUrl: displayUrl,
+        ref: ref || null,
+        subdirectory: subdirectory || null,
+        commit,
+    };
+    logger.info(`Checked out ${displayUrl} at ${commit} for run ${run.id}`);
+}
+
+function findAccessibleProject(req) {
+    const project = projectStore.get(req.params.id);
+    return canAccessRun(req.user, project) ? project : null;
+}
+
+// Validation problems become 400s; anything else is a server error
+function sendProjectError(res, error, message) {
+    if (error instanceof ProjectError || error instanceof GitSourceError || error instanceof UnsafeArchiveError) {
+        return res.status(400).json({
+            ok: false,
+            error: error.message,
+        });
+    }
+    logger.error(`${message}:`, error);
+    res.status(500).json({
+        ok: false,
+        error: message,
+        message: error.message,
+    });
+}
+
+// Apply a create/update request to a copy of a project; throws ProjectError when the
+// result is invalid. Returns the project and, for a new upload, its bundle.
+function buildProject(existing, body, file) {
+    const project = { ...existing, settings: { ...(existing.settings || {}) } };
+
+    if (body.name !== undefined) {
+        project.name = String(body.name).trim();
+    }
+    if (!project.name) {
+        throw new ProjectError('name is required');
+    }
+
+    let bundle = null;
+    if (file) {
+        const filename = path.basename(file.originalname);
+        if (!isSupportedUpload(filename)) {
+            throw new ProjectError('Invalid file type. Please upload a .zip or a .cy.{js,ts,mjs} file.');
+        }
+        if (filename.toLowerCase().endsWith('.zip')) {
+            validateZipBundle(file.buffer);
+        }
+        project.source = { type: 'upload', filename };
+        bundle = file.buffer;
+    } else if (body.repoUrl) {
+        project.source = {
+            type: 'git',
+            repoUrl: String(body.repoUrl),
+            ref: body.ref || null,
+            subdirectory: body.subdirectory || null,
+        };
+    } else if (project.source && project.source.type === 'git') {
+        ['ref', 'subdirectory'].forEach(field => {
+            if (body[field] !== undefined) {
+                project.source = { ...project.source, [field]: body[field] || null };
+            }
+        });
+    }
+    if (!project.source) {
+        throw new ProjectError('Upload a file or give a repoUrl');
+    }
+
+    PROJECT_SETTING_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        if (body[field] === '' || body[field] === null) {
+            delete project.settings[field];
+        } else {
+            project.settings[field] = body[field];
+        }
+    });
+    const { error: settingsError } = parseRunSettings(project.settings);
+    if (settingsError) {
+        throw new ProjectError(settingsError);
+    }
+    // Keep env readable in project.json (multipart forms send it as JSON text)
+    if (typeof project.settings.env === 'string') {
+        project.settings.env = JSON.parse(project.settings.env);
+    }
+
+    if (body.schedule !== undefined) {
+        project.schedule = body.schedule ? String(body.schedule).trim() : null;
+    }
+    if (body.paused !== undefined) {
+        project.paused = body.paused === true || body.paused === 'true';
+    }
+    project.nextRunAt = nextProjectRun(project, new Date());
+    project.updatedAt = new Date();
+
+    return { project, bundle };
+}
+
+// Reject unsafe ZIP bundles when a project is saved rather than when it first runs
+function validateZipBundle(buffer) {
+    const checkDir = path.join(runsDir, `.bundle-check-${nanoid(6)}`);
+    try {
+        extractZipSafely(buffer, checkDir, {
+            maxEntries: config.upload.maxZipEntries,
+            maxTotalBytes: config.upload.maxExtractedSizeMB * 1024 * 1024,
+            maxCompressionRatio: config.upload.maxCompressionRatio,
+        });
+    } finally {
+        fs.rmSync(checkDir, { recursive: true, force: true });
+    }
+}
+
+function saveProject(project, bundle) {
+    if (bundle) {
+        projectStore.saveBundle(project, bundle);
+    } else if (project.source.type === 'git') {
+        projectStore.removeBundle(project);
+    }
+    projectStore.save(project);
+}
+
+// When a project's schedule fires next after `from`; null when unscheduled or paused
+function nextProjectRun(project, from) {
+    if (!project.schedule) return null;
+
+    let schedule;
+    try {
+        schedule = parseCron(project.schedule);
+    } catch (error) {
+        if (error instanceof CronError) {
+            throw new ProjectError(error.message);
+        }
+        throw error;
+    }
+    return project.paused ? null : nextCronTime(schedule, from);
+}
+
+// Start a run of a saved project, on demand or from its schedule
+async function startProjectRun(project, { trigger, owner }) {
+    let run;
+    try {
+        const { settings, browsers, shards, error: settingsError } = parseRunSettings(project.settings);
+        if (settingsError) {
+            throw new ProjectError(settingsError);
+        }
+
+        const { source } = project;
+        run = prepareRun({
+            ...settings,
+            filename: source.type === 'git' ? gitRunName(source) : source.filename,
+            owner,
+            projectId: project.id,
+            trigger,
+        });
+        logger.info(`Starting run ${run.id} of project ${project.id} (${trigger})`);
+
+        if (source.type === 'git') {
+            await checkoutIntoRun(run, source);
+        } else {
+            writeUploadedProject(run, source.filename, fs.readFileSync(projectStore.bundlePath(project)));
+        }
+
+        await startRuns(run, { browsers, shards });
+    } catch (error) {
+        if (run && !runs.has(run.id)) {
+            fs.rmSync(run.paths.runPath, { recursive: true, force: true });
+        }
+        updateProject(project.id, { lastTriggeredAt: new Date(), lastError: error.message });
+        throw error;
+    }
+
+    updateProject(project.id, { lastRunId: run.id, lastTriggeredAt: new Date(), lastError: null });
+    return run;
+}
+
+// Save `changes` onto the stored copy of a project. A run is started from a copy read before
+// slow steps such as a git clone; saving that copy would undo edits made in the meantime.
+function updateProject(projectId, changes) {
+    const current = projectStore.get(projectId);
+    // Deleted in the meantime
+    if (!current) return null;
+    const updated = { ...current, ...changes };
+    projectStore.save(updated);
+    return updated;
+}
+
+// Start every scheduled project that is due. A project whose previous run is still
+// going skips this slot rather than piling up runs.
+function runDueProjects() {
+    const now = new Date();
+    projectStore.list()
+        .filter(project => project.nextRunAt && project.nextRunAt <= now)
+        .forEach(project => {
+            const nextRunAt = nextProjectRun(project, now);
+            const lastRun = runs.get(project.lastRunId);
+            if (lastRun && isRunActive(lastRun)) {
+                logger.warn(`Skipping scheduled run of project ${project.id}: run ${lastRun.id} is still active`);
+                updateProject(project.id, {
+                    nextRunAt,
+                    lastError: `Skipped at ${now.toISOString()}: previous run still active`,
+                });
+                return;
+            }
+
+            const next = updateProject(project.id, { nextRunAt });
+            startProjectRun(next, { trigger: 'schedule', owner: project.owner }).catch(error => {
+                logger.error(`Error starting scheduled run of project ${project.id}:`, error);
+            });
+        });
+}
+
+// Forget schedule slots missed while the server was down
+function rescheduleProjects() {
+    const now = new Date();
+    projectStore.list()
+        .filter(project => project.schedule)
+        .forEach(project => {
+            try {
+                updateProject(project.id, { nextRunAt: nextProjectRun(project, now) });
+            } catch (error) {
+                logger.error(`Error scheduling project ${project.id}:`, error);
+            }
+        });
+}
+
+// Public representation of a project
+function serializeProject(project) {
+    const lastRun = runs.get(project.lastRunId);
+    const { source } = project;
+    return {
+        id: project.id,
+        name: project.name,
+        owner: project.owner,
+        source: source.type === 'git' ? { ...source, repoUrl: redactRepoUrl(source.repoUrl) } : source,
+        settings: project.settings,
+        schedule: project.schedule,
+        paused: project.paused,
+        nextRunAt: project.nextRunAt || null,
+        lastRun: lastRun
+            ? {
+                id: lastRun.id,
+                status: lastRun.status,
+                createdAt: lastRun.createdAt,
+                finishedAt: lastRun.finishedAt || null,
+                summary: lastRun.summary || null,
+            }
+            : null,
+        lastTriggeredAt: project.lastTriggeredAt || null,
+        lastError: project.lastError || null,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+    };
+}
+
+// Register and persist a prepared run and hand it to the scheduler;
+// it starts once a slot is free
+function enqueueRun(run) {
+    runs.set(run.id, run);
+    persistRun(run);
+    runQueue.enqueue(run.id, run.priority || 0);
+    sendWebhooks(run, 'run.queued', buildWebhookPayload(run));
+}
+
+// Queue a prepared run. With several browsers, or several shards, the run becomes a
+// parent that only groups its child runs (one per browser or per shard); they do the work.
+async function startRuns(run, { browsers, shards }) {
+    if (browsers.length > 1) {
+        run.browsers = browsers;
+        startChildRuns(run, browsers.map(browser => ({ browser })));
+        return;
+    }
+
+    run.browser = browsers[0];
+    if (shards > 1) {
+        const configFile = await findConfigFile(run.paths.workPath);
+        const specPattern = readSpecPattern(configFile);
+        if (!specPattern) {
+            enqueueRun(run);
+            broadcast(run.id, `Not sharding: the e2e.specPattern of ${path.basename(configFile)} is not a string or a list of strings`);
+            return;
+        }
+        const specs = await discoverSpecs(run.paths.workPath, specPattern);
+        const plan = planShards(specs, shards, getSpecDurations(run));
+        if (plan.length > 1) {
+            logger.info(`Splitting run ${run.id} into ${plan.length} shards`, { plan });
+            run.shards = plan.length;
+            startChildRuns(run, plan.map((shard, index) => ({
+                browser: run.browser,
+                specs: shard.specs,
+                shard: { index: index + 1, total: plan.length, estimatedMs: shard.estimatedMs },
+            })));
+            return;
+        }
+        enqueueRun(run);
+        broadcast(run.id, `Not sharding: found ${specs.length} spec file(s) matching ${specPattern.join(', ')}`);
+        return;
+    }
+
+    enqueueRun(run);
+}
+
+// Turn a prepared run into the parent of one child run per variant (fields that
+// differ between the children, such as browser or specs)
+function startChildRuns(run, variants) {
+    const shared = Object.fromEntries(
+        Object.entries(run).filter(([key]) => !['id', 'createdAt', 'status', 'paths'].includes(key))
+    );
+    const children = variants.map(variant => {
+        const child = prepareRun({ ...shared, ...variant, parentId: run.id });
+        copyProject(run.paths.workPath, child.paths.workPath);
+        return child;
+    });
+    fs.rmSync(run.paths.workPath, { recursive: true, force: true });
+
+    run.children = children.map(child => child.id);
+    runs.set(run.id, run);
+    persistRun(run);
+    sendWebhooks(run, 'run.queued', buildWebhookPayload(run));
+
+    children.forEach(enqueueRun);
+}
+
+// Response body fields for a run that was just started
+function describeStartedRun(run) {
+    return {
+        runId: run.id,
+        stream: `/runs/${run.id}/stream`,
+        queuePosition: runQueue.position(run.id),
+        children: run.children
+            ? getChildRuns(run).map(child => ({
+                runId: child.id,
+                browser: child.browser,
+                shard: child.shard,
+                stream: `/runs/${child.id}/stream`,
+                queuePosition: runQueue.position(child.id),
+            }))
+            : undefined,
+    };
+}
+
+function getChildRuns(run) {
+    return (run.children || []).map(childId => runs.get(childId)).filter(Boolean);
+}
+
+// How a child run is told apart from its siblings in logs and downloads
+function childLabel(run) {
+    return run.shard ? `shard ${run.shard.index}/${run.shard.total}` : run.browser;
+}
+
+// Identifies runs of the same project, across uploads and git checkouts
+function projectKey(run) {
+    if (run.projectId) {
+        return `project:${run.projectId}`;
+    }
+    if (run.source && run.source.type === 'git') {
+        return `git:${run.source.repoUrl}#${run.source.subdirectory || ''}`;
+    }
+    return `upload:${run.filename}`;
+}
+
+// Latest recorded duration (ms) of each spec in earlier runs of the same project
+function getSpecDurations(run) {
+    const key = projectKey(run);
+    const durations = new Map();
+    Array.from(runs.values())
+        .filter(other => other.id !== run.id && !other.children && other.summary && projectKey(other) === key)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .forEach(other => {
+            try {
+                const testResults = readTestResults(other);
+                (testResults ? testResults.specs : []).forEach(spec => {
+                    if (!durations.has(spec.spec)) {
+                        durations.set(spec.spec, spec.summary.duration);
+                    }
+                });
+            } catch (error) {
+                logger.error(`Error reading test results of run ${other.id}:`, error);
+            }
+        });
+    return durations;
+}
+
+// Copy a run's project into a new run's work directory
+function copyProject(workPath, destination) {
+    fs.cpSync(workPath, destination, {
+        recursive: true,
+        // The install phase copies the dependencies in again
+        filter: src => src !== path.join(workPath, 'node_modules'),
+    });
+}
+
+// Status of a multi-browser run: active while any browser run is, 'done' when all
+// passed, otherwise the most serious outcome among them
+function combineStatuses(statuses) {
+    if (statuses.some(status => status === 'queued' || status === 'running')) {
+        return statuses.every(status => status === 'queued') ? 'queued' : 'running';
+    }
+    if (statuses.every(status => status === 'done')) return 'done';
+    if (statuses.some(status => ['failed', 'timed_out', 'install_failed'].includes(status))) return 'failed';
+    if (statuses.includes('interrupted')) return 'interrupted';
+    return 'cancelled';
+}
+
+// Bring a multi-browser run up to date after one of its browser runs changed
+function refreshParentRun(parentId) {
+    const parent = runs.get(parentId);
+    if (!parent || !isRunActive(parent)) return;
+
+    const children = getChildRuns(parent);
+    const startedAt = children.map(child => child.startedAt).filter(Boolean).sort((a, b) => a - b)[0];
+    if (startedAt) {
+        parent.startedAt = startedAt;
+    }
+    parent.summary = combineSummaries(children);
+    parent.visual = combineVisualResults(children);
+
+    const status = combineStatuses(children.map(child => child.status));
+    if (isRunActive({ status })) {
+        if (status !== parent.status) {
+            parent.status = status;
+            persistRun(parent);
+            if (status === 'running') {
+                sendWebhooks(parent, 'run.started', buildWebhookPayload(parent));
+            }
+        }
+        return;
+    }
 
-// SSE stream for live logs
-app.get('/runs/:id/stream', (req, res) => {
-    const runId = req.params.id;
-    
-    if (!runs.has(runId)) {
-        return res.status(404).json({
-            ok: false,
-            error: 'Run not found',
+    if (parent.shards) {
+        mergeShards(parent, children);
+    }
+    finishRun(parent, status, null);
+}
+
+// Gather a sharded run's videos, screenshots and parsed results into the parent,
+// so it reads like a single run
+function mergeShards(parent, children) {
+    try {
+        ['videos', 'screenshots'].forEach(kind => {
+            const target = path.join(parent.paths.runPath, 'cypress', kind);
+            fs.mkdirSync(target, { recursive: true });
+            children.forEach(child => {
+                const folder = path.join(child.paths.runPath, 'cypress', kind);
+                if (!fs.existsSync(folder)) return;
+                // Shards with specs in the same folder both write that folder, so files are
+                // moved one by one; a file two shards wrote is kept from the first
+                const conflicts = moveFiles(folder, target);
+                if (conflicts.length > 0) {
+                    const message = `Not merging ${kind} of shard ${child.shard.index} that another shard also wrote: ${conflicts.join(', ')}`;
+                    logger.warn(`Run ${parent.id}: ${message}`);
+                    broadcast(parent.id, message);
+                }
+            });
         });
+
+        const shardResults = children.map(readTestResults).filter(Boolean);
+        if (shardResults.length === 0) return;
+
+        const testResults = mergeTestResults(shardResults);
+        const resultsFolder = path.join(parent.paths.runPath, 'results');
+        fs.mkdirSync(resultsFolder, { recursive: true });
+        fs.writeFileSync(path.join(resultsFolder, 'tests.json'), JSON.stringify(testResults, null, 2));
+        parent.summary = testResults.summary;
+        generateReports(parent, testResults);
+    } catch (error) {
+        logger.error(`Error merging shards of run ${parent.id}:`, error);
     }
+}
 
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
+// Move every file under `source` to the same relative path under `target`. Returns the
+// relative paths that already existed in `target`, which are left where they were.
+function moveFiles(source, target, prefix = '') {
+    fs.mkdirSync(target, { recursive: true });
+    return fs.readdirSync(source, { withFileTypes: true }).flatMap(entry => {
+        const from = path.join(source, entry.name);
+        const to = path.join(target, entry.name);
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            return moveFiles(from, to, relativePath);
+        }
+        if (fs.existsSync(to)) {
+            return [relativePath];
+        }
+        fs.renameSync(from, to);
+        return [];
     });
+}
 
-    if (!clients.has(runId)) {
-        clients.set(runId, []);
-    }
-    clients.get(runId).push(res);
+// Visual regression counts of several runs, or null when none was compared
+function combineVisualResults(children) {
+    const results = children.map(child => child.visual).filter(Boolean);
+    if (results.length === 0) return null;
+
+    const combined = { status: 'passed', compared: 0, passed: 0, failed: 0, new: 0, missing: 0, review: null };
+    results.forEach(result => {
+        ['compared', 'passed', 'failed', 'new', 'missing'].forEach(field => {
+            combined[field] += result[field] || 0;
+        });
+    });
+    combined.status = combined.failed > 0 ? 'failed' : 'passed';
+    return combined;
+}
 
-    logger.info(`Client connected to stream for run ${runId}`);
+// Summed test counts of several runs, or null when none has parsed results
+function combineSummaries(children) {
+    const summaries = children.map(child => child.summary).filter(Boolean);
+    if (summaries.length === 0) return null;
 
-    req.on('close', () => {
-        const runClients = clients.get(runId) || [];
-        clients.set(runId, runClients.filter(c => c !== res));
-        logger.info(`Client disconnected from stream for run ${runId}`);
+    const combined = { total: 0, passed: 0, failed: 0, pending: 0, skipped: 0, duration: 0 };
+    summaries.forEach(summary => {
+        Object.keys(combined).forEach(key => {
+            combined[key] += summary[key] || 0;
+        });
     });
-});
+    return combined;
+}
 
-// Helper function to broadcast to SSE clients
-function broadcast(runId, data) {
-    const runClients = clients.get(runId) || [];
-    runClients.forEach(client => {
-        try {
-            client.write(`data: ${data}\n\n`);
-        } catch (error) {
-            logger.error(`Error broadcasting to client for run ${runId}:`, error);
-        }
+// Spec paths (relative to the project) that had failing tests in a run's parsed results
+function getFailedSpecs(run) {
+    const testResults = readTestResults(run);
+    if (!testResults) return [];
+
+    return testResults.specs
+        .filter(spec => spec.summary.failed > 0)
+        .map(spec => spec.spec)
+        .filter(spec => fs.existsSync(path.join(run.paths.workPath, spec)));
+}
+
+// Public representation of a run
+function serializeRun(run) {
+    return {
+        id: run.id,
+        createdAt: run.createdAt,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        status: run.status,
+        owner: run.owner || null,
+        exitCode: run.exitCode ?? null,
+        priority: run.priority,
+        timeoutMinutes: run.timeoutMinutes,
+        phase: run.status === 'running' ? run.phase || null : null,
+        queuePosition: runQueue.position(run.id),
+        baseUrl: run.baseUrl,
+        filename: run.filename,
+        specs: run.specs || null,
+        browser: run.browsers ? null : run.browser || config.cypress.browser,
+        browsers: run.browsers || null,
+        shards: run.shards || null,
+        shard: run.shard || null,
+        parentId: run.parentId || null,
+        projectId: run.projectId || null,
+        trigger: run.trigger || null,
+        env: run.env || null,
+        secrets: run.secrets ? run.secrets.map(ref => ref.env) : null,
+        rerunOf: run.rerunOf || null,
+        source: run.source || null,
+        summary: run.summary || null,
+        visual: run.visual || null,
+        pinned: run.pinned || null,
+        storage: run.storage || null,
+        videos: getRunVideos(run.id),
+        screenshots: getRunScreenshots(run.id),
+        resultsJson: getRunResults(run.id),
+        reports: getRunReports(run.id),
+        children: run.children ? getChildRuns(run).map(serializeRun) : null,
+    };
+}
+
+// Body of webhook deliveries: run state plus absolute artifact URLs
+function buildWebhookPayload(run) {
+    const details = serializeRun(run);
+    // Presigned storage URLs are absolute already
+    const absolute = url => (url && config.publicUrl && url.startsWith('/') ? `${config.publicUrl}${url}` : url);
+
+    return {
+        run: {
+            id: run.id,
+            status: run.status,
+            exitCode: run.exitCode ?? null,
+            summary: run.summary || null,
+            visual: run.visual || null,
+            owner: run.owner || null,
+            baseUrl: run.baseUrl,
+            filename: run.filename,
+            browser: run.browsers ? null : run.browser || config.cypress.browser,
+            shard: run.shard || null,
+            parentId: run.parentId || null,
+            children: run.children || null,
+            rerunOf: run.rerunOf || null,
+            source: run.source || null,
+            createdAt: run.createdAt,
+            startedAt: run.startedAt || null,
+            finishedAt: run.finishedAt || null,
+        },
+        artifacts: {
+            details: absolute(`/runs/${run.id}`),
+            videos: details.videos.map(absolute),
+            screenshots: details.screenshots.map(absolute),
+            resultsJson: absolute(details.resultsJson),
+            reports: {
+                junit: absolute(details.reports.junit),
+                html: absolute(details.reports.html),
+            },
+            log: absolute(`/runs/${run.id}/log`),
+            zip: absolute(`/runs/${run.id}/artifacts.zip`),
+        },
+    };
+}
+
+function formatQueueMessage(position) {
+    return `Waiting in queue (position ${position})`;
+}
+
+// Tell every waiting run's subscribers when their position changes
+function announceQueuePositions() {
+    runQueue.pendingIds().forEach((runId, index) => {
+        const run = runs.get(runId);
+        const position = index + 1;
+        if (!run || run.announcedPosition === position) return;
+        run.announcedPosition = position;
+        broadcast(runId, formatQueueMessage(position));
     });
 }
 
-// Run Cypress tests
+// Run Cypress tests; resolves once the Cypress process has exited
 async function runCypress(runId) {
     const run = runs.get(runId);
     if (!run) {
@@ -287,7 +2341,20 @@ async function runCypress(runId) {
 
     try {
         run.status = 'running';
+        run.startedAt = new Date();
+        runsStartedTotal.inc();
+        persistRun(run);
+        sendWebhooks(run, 'run.started', buildWebhookPayload(run));
+        refreshParentRun(run.parentId);
+
+        const install = config.install.enabled ? detectInstall(run.paths.workPath) : null;
+        if (install && !(await installProjectDependencies(run, install))) {
+            return;
+        }
+
+        run.phase = 'cypress';
         logger.info(`Starting Cypress run ${runId}`);
+        broadcast(runId, 'Starting Cypress run');
 
         const videosFolder = path.join(run.paths.runPath, 'cypress', 'videos');
         const screenshotsFolder = path.join(run.paths.runPath, 'cypress', 'screenshots');
@@ -300,7 +2367,7 @@ async function runCypress(runId) {
         const cypressCommand = [
             'run',
             '--project', run.paths.workPath,
-            '--browser', config.cypress.browser,
+            '--browser', run.browser || config.cypress.browser,
             '--headless',
             '--config', `videosFolder=${videosFolder},screenshotsFolder=${screenshotsFolder}`,
             '--reporter', 'json',
@@ -315,62 +2382,543 @@ async function runCypress(runId) {
         if (configFile) {
             cypressCommand.push('--config-file', configFile);
             logger.info(`Using config file: ${configFile}`);
-        } else {
+        }
+
+        if (run.specs && run.specs.length > 0) {
+            cypressCommand.push('--spec', run.specs.map(spec => path.join(run.paths.workPath, spec)).join(','));
+        } else if (!configFile) {
             cypressCommand.push('--spec', path.join(run.paths.workPath, 'cypress', 'e2e', '**', '*.cy.*'));
         }
 
+        // The run may have been cancelled while we were looking for the config
+        if (run.terminationStatus) {
+            finishRun(run, run.terminationStatus, null);
+            return;
+        }
+
+        let cypressEnv;
+        try {
+            cypressEnv = buildCypressEnv(run);
+        } catch (error) {
+            logger.error(`Error preparing environment for run ${runId}:`, error);
+            broadcast(runId, `ERROR: ${error.message}`);
+            finishRun(run, 'failed', null);
+            return;
+        }
+
         logger.info(`Cypress command: cypress ${cypressCommand.join(' ')}`);
 
+        // Detached so the Cypress process and its browsers share a killable process group
         const cypressProcess = spawn('cypress', cypressCommand, {
             cwd: run.paths.workPath,
-            env: { ...process.env, NO_COLOR: '1' },
+            env: { ...process.env, NO_COLOR: '1', ...cypressEnv },
+            detached: true,
         });
+        activeProcesses.set(runId, cypressProcess);
+
+        const timeoutMinutes = run.timeoutMinutes || config.runner.maxRunDurationMinutes;
+        const timeoutTimer = setTimeout(() => {
+            logger.warn(`Run ${runId} exceeded ${timeoutMinutes} minute(s), stopping it`);
+            stopRun(run, 'timed_out', `Run exceeded the maximum duration of ${timeoutMinutes} minute(s)`);
+        }, timeoutMinutes * 60 * 1000);
+
+        const stdoutLines = createLineBuffer(lines => broadcast(runId, lines));
+        const stderrLines = createLineBuffer(lines => broadcast(runId, lines));
 
         cypressProcess.stdout.on('data', (data) => {
             const message = data.toString();
             logger.debug(`[Run ${runId}] ${message}`);
-            broadcast(runId, message);
+            stdoutLines.push(message);
         });
 
         cypressProcess.stderr.on('data', (data) => {
             const message = data.toString();
             logger.warn(`[Run ${runId}] ${message}`);
-            broadcast(runId, message);
+            stderrLines.push(message);
+        });
+
+        let resolveDone;
+        const done = new Promise(resolve => {
+            resolveDone = resolve;
         });
 
+        // A process that failed to spawn may never emit 'close', so 'error' finishes the run
+        // itself; whichever of the two comes second is ignored
+        let settled = false;
+
         cypressProcess.on('error', (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeoutTimer);
+            activeProcesses.delete(runId);
             logger.error(`Failed to start Cypress for run ${runId}:`, error);
-            run.status = 'failed';
             broadcast(runId, `ERROR: ${error.message}`);
+            finishRun(run, run.terminationStatus || 'failed', null);
+            resolveDone();
         });
 
         cypressProcess.on('close', (code) => {
-            run.status = code === 0 ? 'done' : 'failed';
-            fs.writeFileSync(path.join(run.paths.runPath, 'exit-code.txt'), code.toString());
-            
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeoutTimer);
+            activeProcesses.delete(runId);
+            stdoutLines.flush();
+            stderrLines.flush();
+            fs.writeFileSync(path.join(run.paths.runPath, 'exit-code.txt'), String(code));
+
             logger.info(`Cypress run ${runId} finished with code ${code}`);
-            broadcast(runId, `RUN_DONE status=${run.status} code=${code}`);
-
-            // Close all SSE connections after a short delay
-            setTimeout(() => {
-                const runClients = clients.get(runId) || [];
-                runClients.forEach(client => {
-                    try {
-                        client.end();
-                    } catch (error) {
-                        logger.error(`Error closing client connection:`, error);
-                    }
-                });
-                clients.delete(runId);
-            }, 250);
+            const testResults = collectTestResults(run);
+            if (testResults) {
+                generateReports(run, testResults);
+            }
+            const visualPassed = run.terminationStatus || checkVisualRegressions(run);
+            finishRun(run, run.terminationStatus || (code === 0 && visualPassed ? 'done' : 'failed'), code);
+            resolveDone();
         });
+
+        await done;
     } catch (error) {
         logger.error(`Error running Cypress for run ${runId}:`, error);
         run.status = 'failed';
+        run.finishedAt = new Date();
+        persistRun(run);
         broadcast(runId, `ERROR: ${error.message}`);
     }
 }
 
+// The run's "install" phase: install the project's own dependencies (from the cache when
+// the lockfile was seen before). Returns false when the run was finished here instead.
+async function installProjectDependencies(run, install) {
+    run.phase = 'install';
+    logger.info(`Installing dependencies for run ${run.id} with ${install.command}`);
+    broadcast(run.id, `[install] Installing dependencies with ${install.command} ${install.args[0]} (${install.lockfile})`);
+
+    const outputLines = createLineBuffer(text => {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        if (lines.length > 0) {
+            broadcast(run.id, lines.map(line => `[install] ${line}`).join('\n'));
+        }
+    });
+    const startedAt = Date.now();
+
+    try {
+        const { cached } = await installDependencies({
+            workPath: run.paths.workPath,
+            install,
+            cacheDir: depsCacheDir,
+            timeoutMs: config.install.timeoutMinutes * 60 * 1000,
+            onOutput: text => outputLines.push(text),
+            onSpawn: child => activeProcesses.set(run.id, child),
+        });
+        outputLines.flush();
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+        broadcast(run.id, cached
+            ? '[install] Reused cached dependencies'
+            : `[install] Dependencies installed in ${seconds}s`);
+    } catch (error) {
+        outputLines.flush();
+        if (run.terminationStatus) {
+            finishRun(run, run.terminationStatus, null);
+            return false;
+        }
+        logger.error(`Error installing dependencies for run ${run.id}:`, error);
+        broadcast(run.id, `[install] ERROR: ${error.message}`);
+        finishRun(run, 'install_failed', null);
+        return false;
+    } finally {
+        activeProcesses.delete(run.id);
+    }
+
+    // The run may have been cancelled while the cache was being restored
+    if (run.terminationStatus) {
+        finishRun(run, run.terminationStatus, null);
+        return false;
+    }
+    return true;
+}
+
+function isRunActive(run) {
+    return run.status === 'queued' || run.status === 'running';
+}
+
+// Record a run's final status and notify and disconnect its stream subscribers
+function finishRun(run, status, code) {
+    run.status = status;
+    run.exitCode = code;
+    run.finishedAt = new Date();
+    if (!run.children) {
+        runsFinishedTotal.inc({ status });
+        if (run.startedAt) {
+            runDurationSeconds.observe((run.finishedAt - run.startedAt) / 1000, { status });
+        }
+    }
+    persistRun(run);
+    removeInstalledDependencies(run);
+    // Shard runs are stored with their sharded run, once their files have been merged into it.
+    // The webhook waits for the upload so its artifact URLs point at the storage.
+    const stored = run.shard ? Promise.resolve() : storeRunArtifacts(run);
+    stored.then(() => sendWebhooks(run, 'run.finished', buildWebhookPayload(run)));
+
+    broadcast(run.id, `RUN_DONE status=${status} code=${code}`);
+
+    // Close all SSE connections after a short delay
+    setTimeout(() => {
+        const runClients = clients.get(run.id) || [];
+        runClients.forEach(client => {
+            try {
+                client.end();
+            } catch (error) {
+                logger.error(`Error closing client connection:`, error);
+            }
+        });
+        clients.delete(run.id);
+    }, 250);
+
+    refreshParentRun(run.parentId);
+}
+
+// Delete the project's node_modules, a copy from the dependency cache that only the run
+// itself needed (reruns install again). The run's measured size is dropped with it.
+function removeInstalledDependencies(run) {
+    if (!run.paths || !run.paths.workPath) return;
+    fs.promises.rm(path.join(run.paths.workPath, 'node_modules'), { recursive: true, force: true })
+        .then(() => {
+            runSizes.delete(run.id);
+            if (run.parentId) runSizes.delete(run.parentId);
+        })
+        .catch(error => {
+            logger.error(`Error removing installed dependencies of run ${run.id}:`, error);
+        });
+}
+
+// Stop a queued or running run with the given final status ('cancelled', 'timed_out', ...).
+// Queued runs finish immediately; running ones finish when their process exits.
+function stopRun(run, status, reason) {
+    if (run.children) {
+        getChildRuns(run).filter(isRunActive).forEach(child => stopRun(child, status, reason));
+        return isRunActive(run) ? 'stopping' : status;
+    }
+
+    if (runQueue.remove(run.id)) {
+        broadcast(run.id, reason);
+        finishRun(run, status, null);
+        return status;
+    }
+
+    if (run.terminationStatus) return 'stopping';
+    run.terminationStatus = status;
+    broadcast(run.id, reason);
+
+    const child = activeProcesses.get(run.id);
+    if (child) {
+        killProcessTree(child);
+    }
+    return 'stopping';
+}
+
+// Save run metadata to disk without letting I/O errors break the run
+function persistRun(run) {
+    try {
+        saveRunMetadata(run);
+    } catch (error) {
+        logger.error(`Error persisting run ${run.id}:`, error);
+    }
+}
+
+// Load runs left on disk by a previous process; runs that were mid-flight are
+// marked interrupted and runs that never started go back into the queue
+function restoreRuns() {
+    const restored = loadRunsFromDisk(runsDir).sort((a, b) => a.createdAt - b.createdAt);
+    let interrupted = 0;
+    let requeued = 0;
+
+    restored.forEach(run => {
+        runs.set(run.id, run);
+        // Multi-browser parents have no process of their own; see below
+        if (run.children) return;
+
+        if (run.status === 'running') {
+            run.status = 'interrupted';
+            run.finishedAt = run.finishedAt || new Date();
+            persistRun(run);
+            interrupted++;
+        } else if (run.status === 'queued') {
+            runQueue.enqueue(run.id, run.priority || 0);
+            requeued++;
+            return;
+        }
+        // Also clears out runs that finished before dependencies were removed on finishing
+        removeInstalledDependencies(run);
+    });
+
+    // Multi-browser runs follow whatever happened to their browser runs
+    restored.filter(run => run.children).forEach(run => refreshParentRun(run.id));
+
+    // Uploads cut short by the restart start over
+    restored
+        .filter(run => artifactStorage.remote && run.storage && run.storage.status === 'uploading')
+        .forEach(run => uploadRunFiles(run));
+
+    if (restored.length > 0) {
+        logger.info(`Restored ${restored.length} runs from disk`, { interrupted, requeued });
+    }
+}
+
+// Parse results.json into results/tests.json and keep the summary on the run
+function collectTestResults(run) {
+    try {
+        const resultsFolder = path.join(run.paths.runPath, 'results');
+        const defaultSpec = /\.cy\.(js|ts|mjs)$/i.test(run.filename || '')
+            ? `cypress/e2e/${run.filename}`
+            : 'unknown';
+        const testResults = parseResultsFile(path.join(resultsFolder, 'results.json'), { defaultSpec });
+        if (!testResults) return null;
+
+        fs.writeFileSync(path.join(resultsFolder, 'tests.json'), JSON.stringify(testResults, null, 2));
+        run.summary = testResults.summary;
+        return testResults;
+    } catch (error) {
+        logger.error(`Error collecting test results for run ${run.id}:`, error);
+        return null;
+    }
+}
+
+// Write results/junit.xml and results/report.html for a finished run
+function generateReports(run, testResults) {
+    try {
+        const resultsFolder = path.join(run.paths.runPath, 'results');
+        // Artifact URLs look like /videos/<id>/cypress/...; the reports link to them relative to the run
+        const toRunRelative = url => url.split('/').slice(3).join('/');
+        const artifacts = {
+            videos: getRunVideos(run.id).map(toRunRelative),
+            screenshots: getRunScreenshots(run.id).map(toRunRelative),
+        };
+
+        fs.writeFileSync(path.join(resultsFolder, 'junit.xml'), generateJunitXml(run, testResults));
+        fs.writeFileSync(path.join(resultsFolder, 'report.html'), generateHtmlReport(run, testResults, artifacts));
+        logger.info(`Generated reports for run ${run.id}`);
+    } catch (error) {
+        logger.error(`Error generating reports for run ${run.id}:`, error);
+    }
+}
+
+// Screenshots of one project in one browser share a baseline. A saved project belongs to one
+// owner already; uploads and git sources with the same name or URL only share one per owner,
+// so approving a run cannot replace another user's baseline.
+function baselineKey(run) {
+    const project = run.projectId ? projectKey(run) : `${run.owner || ''}|${projectKey(run)}`;
+    return `${project}|${run.browser || config.cypress.browser}`;
+}
+
+// Compare a finished run's screenshots with its baseline and record the outcome in
+// run.visual and runs/<id>/visual/visual.json. Returns false when they differ.
+function checkVisualRegressions(run) {
+    if (!config.visual.enabled) return true;
+
+    const key = baselineKey(run);
+    const baseline = baselineStore.get(key);
+    if (!baseline) return true;
+
+    try {
+        const outputDir = path.join(run.paths.runPath, 'visual');
+        const { screenshots, ...result } = compareScreenshots({
+            screenshotsDir: path.join(run.paths.runPath, 'cypress', 'screenshots'),
+            baselineDir: baselineStore.imagesDir(key),
+            outputDir,
+            pixelThreshold: config.visual.pixelThreshold,
+            maxDiffRatio: config.visual.maxDiffRatio,
+            specs: run.specs,
+        });
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, 'visual.json'), JSON.stringify({ ...result, screenshots }, null, 2));
+
+        run.visual = { ...result, baselineRunId: baseline.runId, review: null };
+        broadcast(run.id, `Visual regression ${result.status}: ${result.failed} of ${result.compared} screenshot(s) differ from the baseline, ${result.new} new, ${result.missing} missing`);
+        return result.status === 'passed';
+    } catch (error) {
+        logger.error(`Error comparing screenshots of run ${run.id}:`, error);
+        return true;
+    }
+}
+
+// Per-screenshot visual results of a run with links to the current, baseline and diff
+// images. Grouped runs list those of their browser or shard runs.
+function readVisualScreenshots(run) {
+    const encodeName = name => name.split('/').map(encodeURIComponent).join('/');
+    // Shards are compared one by one; browser runs always have their own screenshots
+    const sources = run.children && (!run.shards || run.visual) ? getChildRuns(run) : [run];
+
+    return sources.flatMap(source => {
+        const visualPath = path.join(source.paths.runPath, 'visual', 'visual.json');
+        // Shard screenshots are moved into the sharded run when it finishes
+        const screenshotRun = run.shards ? run : source;
+        const screenshots = fs.existsSync(visualPath)
+            ? JSON.parse(fs.readFileSync(visualPath, 'utf8')).screenshots
+            : listScreenshots(path.join(source.paths.runPath, 'cypress', 'screenshots')).map(name => ({ name, status: null }));
+
+        return screenshots.map(screenshot => ({
+            ...screenshot,
+            runId: source.id,
+            browser: source.browser || config.cypress.browser,
+            current: screenshot.status === 'missing'
+                ? null
+                : storedFileUrl(screenshotRun, `cypress/screenshots/${screenshot.name}`)
+                    || `/screenshots/${screenshotRun.id}/cypress/screenshots/${encodeName(screenshot.name)}`,
+            baseline: ['failed', 'passed'].includes(screenshot.status) && fs.existsSync(path.join(source.paths.runPath, 'visual', 'baseline', screenshot.name))
+                ? storedFileUrl(source, `visual/baseline/${screenshot.name}`)
+                    || `/diffs/${source.id}/visual/baseline/${encodeName(screenshot.name)}`
+                : null,
+            diff: screenshot.hasDiff
+                ? storedFileUrl(source, `visual/diff/${screenshot.name}`) || `/diffs/${source.id}/visual/diff/${encodeName(screenshot.name)}`
+                : null,
+        }));
+    });
+}
+
+// Make a run's screenshots (all of them, or the named ones) the baseline of its project
+function approveScreenshots(run, names, approvedBy) {
+    if (isRunActive(run)) {
+        throw new VisualError('Run has not finished yet');
+    }
+    if (run.children && !run.shards) {
+        throw new VisualError('Approve the screenshots of each browser run instead');
+    }
+
+    const key = baselineKey(run);
+    const screenshotsDir = path.join(run.paths.runPath, 'cypress', 'screenshots');
+    const available = listScreenshots(screenshotsDir);
+    if (names) {
+        const baseline = baselineStore.get(key);
+        const known = new Set([...available, ...(baseline ? baseline.screenshots : [])]);
+        const unknown = names.find(name => !known.has(name));
+        if (unknown) {
+            throw new VisualError(`Unknown screenshot: ${unknown}`);
+        }
+    } else if (available.length === 0) {
+        throw new VisualError('Run has no screenshots to approve');
+    }
+
+    const baseline = baselineStore.promote(key, screenshotsDir, { runId: run.id, approvedBy, names, specs: run.specs });
+    logger.info(`Baseline for ${key} updated from run ${run.id} by ${approvedBy}`);
+    if (run.visual) {
+        run.visual = { ...run.visual, review: 'approved', reviewedBy: approvedBy, reviewedAt: new Date() };
+        persistRun(run);
+    }
+    return baseline;
+}
+
+// Upload a finished run's artifacts (a sharded run's with those of its shards) to the
+// artifact storage. The run's URLs switch to the storage once all its files are there.
+async function storeRunArtifacts(run) {
+    // The local driver keeps them where they are
+    if (!artifactStorage.remote) return;
+    const targets = run.shards ? [run, ...getChildRuns(run)] : [run];
+    for (const target of targets) {
+        await uploadRunFiles(target);
+    }
+}
+
+// Upload one run's artifact folders, tracking progress in run.storage. Never throws: when
+// an upload fails the files keep being served from the run folder.
+async function uploadRunFiles(run) {
+    const driver = artifactStorage.name;
+    run.storage = { driver, status: 'uploading', files: 0 };
+    persistRun(run);
+
+    try {
+        const files = [];
+        for (const folder of ARTIFACT_FOLDERS) {
+            const names = await glob('**/*', { cwd: path.join(run.paths.runPath, folder), nodir: true, posix: true });
+            files.push(...names.sort().map(name => `${folder}/${name}`));
+        }
+        run.storage.files = files.length;
+        for (const relPath of files) {
+            await artifactStorage.put(`${run.id}/${relPath}`, path.join(run.paths.runPath, ...relPath.split('/')));
+        }
+        run.storage = { ...run.storage, status: 'uploaded', uploadedAt: new Date() };
+        artifactUploadsTotal.inc({ driver, status: 'uploaded' });
+        if (artifactStorage.remote) {
+            logger.info(`Uploaded ${files.length} artifact(s) of run ${run.id} to ${driver} storage`);
+        }
+    } catch (error) {
+        logger.error(`Error uploading artifacts of run ${run.id}:`, error);
+        run.storage = { ...run.storage, status: 'failed', error: error.message };
+        artifactUploadsTotal.inc({ driver, status: 'failed' });
+    }
+
+    if (!runs.has(run.id)) {
+        // Deleted while uploading: remove whatever made it into the storage
+        await removeStoredArtifacts(run);
+        return;
+    }
+    persistRun(run);
+}
+
+// Whether a run-relative path is a file of one of the uploaded folders (and not, say, the
+// project in work/ or run.json)
+function isArtifactPath(relPath) {
+    const segments = relPath.split('/');
+    return !segments.some(segment => segment === '' || segment === '.' || segment === '..')
+        && ARTIFACT_FOLDERS.some(folder => relPath.startsWith(`${folder}/`));
+}
+
+// Delete a run's files from the artifact storage it was uploaded to. The run is gone
+// either way, so failures are only logged.
+async function removeStoredArtifacts(run) {
+    if (!run.storage || run.storage.driver !== artifactStorage.name) return;
+    try {
+        const removed = await artifactStorage.remove(`${run.id}/`);
+        if (removed > 0) {
+            logger.info(`Deleted ${removed} stored artifact(s) of run ${run.id}`);
+        }
+    } catch (error) {
+        logger.error(`Error deleting stored artifacts of run ${run.id}:`, error);
+    }
+}
+
+// URL of a run file in the artifact storage: presigned when the driver signs URLs,
+// otherwise proxied through /artifacts. `proxied` forces the latter, for files with
+// relative links. Null while the file is served from the run folder.
+function storedFileUrl(run, relPath, { proxied = false } = {}) {
+    if (!artifactStorage.remote || !run.storage || run.storage.status !== 'uploaded' || run.storage.driver !== artifactStorage.name) {
+        return null;
+    }
+    const signedUrl = proxied ? null : artifactStorage.url(`${run.id}/${relPath}`);
+    return signedUrl || `/artifacts/${run.id}/${relPath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Total size of the files below a directory; symbolic links are not followed
+async function getDirectorySize(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+        // Removed while we were walking it
+        return 0;
+    }
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await getDirectorySize(entryPath);
+        } else if (entry.isFile()) {
+            try {
+                total += (await fs.promises.stat(entryPath)).size;
+            } catch {
+                // Removed while we were walking it
+            }
+        }
+    }
+    return total;
+}
+
+// Read the parsed results written by collectTestResults
+function readTestResults(run) {
+    const testsPath = path.join(run.paths.runPath, 'results', 'tests.json');
+    if (!fs.existsSync(testsPath)) return null;
+    return JSON.parse(fs.readFileSync(testsPath, 'utf8'));
+}
+
 // Find Cypress config file
 async function findConfigFile(workPath) {
     const configFiles = [
@@ -399,9 +2947,10 @@ function getRunVideos(runId) {
     if (!fs.existsSync(videosPath)) return [];
     
     try {
-        return fs.readdirSync(videosPath)
-            .filter(file => file.endsWith('.mp4'))
-            .map(file => `/videos/${runId}/cypress/videos/${file}`);
+        // Specs in subfolders have their videos in the same subfolders
+        return globSync('**/*.mp4', { cwd: videosPath, nodir: true, posix: true })
+            .sort()
+            .map(file => storedFileUrl(run, `cypress/videos/${file}`) || `/videos/${runId}/cypress/videos/${file}`);
     } catch (error) {
         logger.error(`Error reading videos for run ${runId}:`, error);
         return [];
@@ -418,19 +2967,19 @@ function getRunScreenshots(runId) {
     
     try {
         const screenshots = [];
-        const walk = (dir, baseUrl) => {
+        const walk = (dir, relDir) => {
             const files = fs.readdirSync(dir);
             files.forEach(file => {
                 const filePath = path.join(dir, file);
                 const stat = fs.statSync(filePath);
                 if (stat.isDirectory()) {
-                    walk(filePath, `${baseUrl}/${file}`);
+                    walk(filePath, `${relDir}/${file}`);
                 } else if (file.match(/\.(png|jpg|jpeg)$/i)) {
-                    screenshots.push(`${baseUrl}/${file}`);
+                    screenshots.push(storedFileUrl(run, `${relDir}/${file}`) || `/screenshots/${runId}/${relDir}/${file}`);
                 }
             });
         };
-        walk(screenshotsPath, `/screenshots/${runId}/cypress/screenshots`);
+        walk(screenshotsPath, 'cypress/screenshots');
         return screenshots;
     } catch (error) {
         logger.error(`Error reading screenshots for run ${runId}:`, error);
@@ -446,7 +2995,71 @@ function getRunResults(runId) {
     const resultsPath = path.join(run.paths.runPath, 'results', 'results.json');
     if (!fs.existsSync(resultsPath)) return null;
     
-    return `/results/${runId}/results/results.json`;
+    return storedFileUrl(run, 'results/results.json') || `/results/${runId}/results/results.json`;
+}
+
+// Bundle videos, screenshots, results, logs and the uploaded project of a run. Returns an
+// archiver stream; files are read from disk as the archive is consumed.
+function createArtifactsZip(run) {
+    const zip = archiver('zip');
+    if (run.children) {
+        // One folder per browser or shard run, plus the parent's own (merged) artifacts
+        getChildRuns(run).forEach(child => addRunArtifacts(zip, child, `${childLabel(child).replace(/[ /]/g, '-')}/`));
+    }
+    addRunArtifacts(zip, run, '');
+    return zip;
+}
+
+function addRunArtifacts(zip, run, prefix) {
+    // Same layout as the run directory, so links in results/report.html keep working
+    const folders = [
+        [path.join(run.paths.runPath, 'cypress', 'videos'), 'cypress/videos'],
+        [path.join(run.paths.runPath, 'cypress', 'screenshots'), 'cypress/screenshots'],
+        [path.join(run.paths.runPath, 'results'), 'results'],
+    ];
+    const files = ['output.log', 'run.json', 'exit-code.txt'];
+
+    folders.forEach(([folder, zipPath]) => {
+        if (fs.existsSync(folder)) {
+            zip.directory(folder, `${prefix}${zipPath}`);
+        }
+    });
+    // The project minus node_modules, which only a running run has (a copy from the dependency cache)
+    if (fs.existsSync(run.paths.workPath)) {
+        fs.readdirSync(run.paths.workPath, { withFileTypes: true })
+            .filter(entry => entry.name !== 'node_modules')
+            .forEach(entry => {
+                const entryPath = path.join(run.paths.workPath, entry.name);
+                if (entry.isDirectory()) {
+                    zip.directory(entryPath, `${prefix}project/${entry.name}`);
+                } else {
+                    zip.file(entryPath, { name: `${prefix}project/${entry.name}` });
+                }
+            });
+    }
+    files.forEach(file => {
+        const filePath = path.join(run.paths.runPath, file);
+        if (fs.existsSync(filePath)) {
+            zip.file(filePath, { name: `${prefix}${file}` });
+        }
+    });
+}
+
+// Get generated report URLs for a run
+function getRunReports(runId) {
+    const run = runs.get(runId);
+    if (!run) return { junit: null, html: null };
+
+    const resultsFolder = path.join(run.paths.runPath, 'results');
+    return {
+        junit: fs.existsSync(path.join(resultsFolder, 'junit.xml'))
+            ? storedFileUrl(run, 'results/junit.xml') || `/results/${runId}/results/junit.xml`
+            : null,
+        // The report links to videos and screenshots relative to itself, which presigned URLs cannot follow
+        html: fs.existsSync(path.join(resultsFolder, 'report.html'))
+            ? storedFileUrl(run, 'results/report.html', { proxied: true }) || `/results/${runId}/results/report.html`
+            : null,
+    };
 }
 
 // Validate URL
@@ -459,24 +3072,37 @@ function isValidUrl(string) {
     }
 }
 
-// Cleanup old runs to prevent disk space issues
+// Delete the runs the retention policy no longer keeps, to prevent disk space issues
 function cleanupOldRuns() {
+    if (!cleanupInProgress) {
+        cleanupInProgress = applyRetention().finally(() => {
+            cleanupInProgress = null;
+        });
+    }
+    return cleanupInProgress;
+}
+
+async function applyRetention() {
     try {
-        const runsArray = Array.from(runs.entries())
-            .sort((a, b) => b[1].createdAt - a[1].createdAt);
+        const plan = await buildRetentionPlan();
+        plan.deletions.forEach(({ run, reasons }) => {
+            // The run may have been deleted or pinned while sizes were measured
+            if (!runs.has(run.id) || run.pinned || isRunActive(run)) return;
+            try {
+                const bytes = runSizes.get(run.id) ?? null;
+                deleteRun(run);
+                recordDeletion(run, { trigger: 'retention', by: 'cleanup', reasons, bytes });
+                cleanupDeletionsTotal.inc({ kind: 'run' });
+                logger.info(`Cleaned up old run: ${run.id} (${reasons.join('; ')})`);
+            } catch (error) {
+                logger.error(`Error cleaning up run ${run.id}:`, error);
+            }
+        });
 
-        if (runsArray.length > config.upload.maxRunsRetention) {
-            const toDelete = runsArray.slice(config.upload.maxRunsRetention);
-            
-            toDelete.forEach(([runId, run]) => {
-                try {
-                    fs.rmSync(run.paths.runPath, { recursive: true, force: true });
-                    runs.delete(runId);
-                    logger.info(`Cleaned up old run: ${runId}`);
-                } catch (error) {
-                    logger.error(`Error cleaning up run ${runId}:`, error);
-                }
-            });
+        const pruned = pruneDependencyCache(depsCacheDir, config.install.cacheMaxAgeDays * 24 * 60 * 60 * 1000);
+        if (pruned > 0) {
+            cleanupDeletionsTotal.inc({ kind: 'dependency_cache' }, pruned);
+            logger.info(`Pruned ${pruned} unused dependency cache entries`);
         }
     } catch (error) {
         logger.error('Error during cleanup:', error);
@@ -489,15 +3115,49 @@ setInterval(() => {
     cleanupOldRuns();
 }, config.upload.cleanupIntervalHours * 60 * 60 * 1000);
 
+// Fire project schedules
+rescheduleProjects();
+setInterval(runDueProjects, SCHEDULER_INTERVAL_MS);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+        return res.status(err.status).json({
+            ok: false,
+            error: err.message,
+            code: err.code,
+            details: err.details,
+        });
+    }
+
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 ok: false,
                 error: `File too large. Maximum size is ${config.upload.maxFileSizeMB}MB`,
+                code: 'file_too_large',
             });
         }
+        return res.status(400).json({
+            ok: false,
+            error: `Invalid upload: ${err.message}`,
+            code: 'invalid_upload',
+        });
+    }
+
+    // Rejected by express.json / express.urlencoded
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            ok: false,
+            error: 'Invalid JSON in request body',
+            code: 'invalid_json',
+        });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            ok: false,
+            error: 'Request body too large',
+        });
     }
     
     logger.error('Unhandled error:', err);
@@ -517,8 +3177,21 @@ app.use((req, res) => {
 });
 
 // Graceful shutdown
+
+// Detached Cypress process groups would outlive the server, so stop them on the way out
+function stopActiveProcesses() {
+    activeProcesses.forEach((child, runId) => {
+        const run = runs.get(runId);
+        if (run) {
+            run.terminationStatus = 'interrupted';
+        }
+        killProcessTree(child, { graceMs: 1000 });
+    });
+}
+
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    stopActiveProcesses();
     server.close(() => {
         logger.info('Server closed');
         process.exit(0);
@@ -527,6 +3200,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
+    stopActiveProcesses();
     server.close(() => {
         logger.info('Server closed');
         process.exit(0);
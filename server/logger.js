@@ -1,10 +1,20 @@
 import winston from 'winston';
 import { config } from './config.js';
+import { maskSecretsDeep } from './secret-masking.js';
+
+// Keep secret values out of every transport
+const maskSecretValues = winston.format(info => {
+    Object.keys(info).forEach(key => {
+        info[key] = maskSecretsDeep(info[key]);
+    });
+    return info;
+});
 
 const logFormat = winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    maskSecretValues(),
     winston.format.json()
 );
 
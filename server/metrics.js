@@ -0,0 +1,100 @@
+// Minimal metrics registry rendered in the Prometheus text exposition format.
+// Counters and histograms are updated where things happen; gauges read their value
+// when /metrics is scraped.
+
+const metrics = [];
+
+// Counter with optional labels: counter.inc({ status: 'done' })
+export function createCounter({ name, help }) {
+    const values = new Map();
+    metrics.push({
+        name,
+        help,
+        type: 'counter',
+        samples: () => Array.from(values.values()).map(({ labels, value }) => ({ name, labels, value })),
+    });
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            const entry = values.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            values.set(key, entry);
+        },
+    };
+}
+
+// Gauge whose samples come from `collect`, which returns a number or [{ labels, value }]
+export function createGauge({ name, help, collect }) {
+    metrics.push({
+        name,
+        help,
+        type: 'gauge',
+        samples: () => {
+            const value = collect();
+            return Array.isArray(value)
+                ? value.map(sample => ({ name, labels: sample.labels, value: sample.value }))
+                : [{ name, labels: {}, value }];
+        },
+    });
+}
+
+// Histogram with cumulative `le` buckets: histogram.observe(12.5, { status: 'done' })
+export function createHistogram({ name, help, buckets }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        samples: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[index] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count },
+        ]),
+    });
+
+    return {
+        observe(value, labels = {}) {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+            bounds.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+    };
+}
+
+// All registered metrics as a text/plain; version=0.0.4 document
+export function renderMetrics() {
+    const lines = [];
+    metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples().forEach(sample => {
+            lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
@@ -0,0 +1,349 @@
+import { ERROR_CODES } from './api-errors.js';
+
+// OpenAPI 3.1 description of the core REST routes, served at /openapi.json and browsable at
+// /docs. request-validation.js checks requests (and, when enabled, responses) against it,
+// so a route's behaviour and its description cannot drift apart.
+
+const RUN_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled', 'timed_out', 'install_failed', 'interrupted'];
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+// Multipart fields that take a comma-separated string or the field repeated
+const listField = (description) => ({
+    type: ['string', 'array'],
+    items: { type: 'string' },
+    description,
+});
+
+export function buildOpenApiDocument({ upload, runner, cypress }) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Cypress Runner API',
+            version: '1.0.0',
+            description: 'Upload Cypress projects, run them in a queue and follow their logs. '
+                + 'Every error response is `{ ok: false, error, code }`; `code` is one of the `ErrorCode` values.',
+        },
+        servers: [{ url: '/' }],
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }, { queryToken: [] }],
+        tags: [{ name: 'runs' }, { name: 'server' }],
+        paths: {
+            '/health': {
+                get: {
+                    operationId: 'getHealth',
+                    tags: ['server'],
+                    summary: 'Liveness and queue state',
+                    security: [],
+                    responses: {
+                        200: jsonResponse('The server is up', { $ref: '#/components/schemas/Health' }),
+                    },
+                },
+            },
+            '/start': {
+                post: {
+                    operationId: 'startRun',
+                    tags: ['runs'],
+                    summary: 'Upload a project or spec and queue a run',
+                    description: 'Several browsers fan out into one child run each, and `shards` splits the specs '
+                        + 'over parallel child runs; both are listed under `children`.',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'multipart/form-data': {
+                                schema: { $ref: '#/components/schemas/StartRunForm' },
+                            },
+                        },
+                    },
+                    responses: {
+                        200: jsonResponse('The run was queued', { $ref: '#/components/schemas/StartedRun' }),
+                        400: { $ref: '#/components/responses/BadRequest' },
+                        401: { $ref: '#/components/responses/Unauthorized' },
+                        429: { $ref: '#/components/responses/RateLimited' },
+                        500: { $ref: '#/components/responses/InternalError' },
+                    },
+                },
+            },
+            '/runs': {
+                get: {
+                    operationId: 'listRuns',
+                    tags: ['runs'],
+                    summary: 'List the runs the caller may see, newest first',
+                    description: 'Browser and shard runs are listed under their parent run.',
+                    responses: {
+                        200: jsonResponse('The runs', { type: 'array', items: { $ref: '#/components/schemas/Run' } }),
+                        401: { $ref: '#/components/responses/Unauthorized' },
+                        500: { $ref: '#/components/responses/InternalError' },
+                    },
+                },
+            },
+            '/runs/{id}': {
+                get: {
+                    operationId: 'getRun',
+                    tags: ['runs'],
+                    summary: 'Get a run',
+                    parameters: [{ $ref: '#/components/parameters/RunId' }],
+                    responses: {
+                        200: jsonResponse('The run', { $ref: '#/components/schemas/Run' }),
+                        400: { $ref: '#/components/responses/BadRequest' },
+                        401: { $ref: '#/components/responses/Unauthorized' },
+                        404: { $ref: '#/components/responses/NotFound' },
+                        500: { $ref: '#/components/responses/InternalError' },
+                    },
+                },
+            },
+            '/runs/{id}/stream': {
+                get: {
+                    operationId: 'streamRunLog',
+                    tags: ['runs'],
+                    summary: 'Follow a run\'s log as server-sent events',
+                    description: 'Each log line is one event with an increasing `id`. Reconnect with `Last-Event-ID` '
+                        + '(or `lastEventId`) to receive only the lines after it. The stream ends after the final '
+                        + '`RUN_DONE status=<status> code=<exit code>` line.',
+                    parameters: [
+                        { $ref: '#/components/parameters/RunId' },
+                        {
+                            name: 'lastEventId',
+                            in: 'query',
+                            description: 'Resume after this event id',
+                            schema: { type: 'integer', minimum: 0 },
+                        },
+                        {
+                            name: 'Last-Event-ID',
+                            in: 'header',
+                            description: 'Resume after this event id; sent by EventSource when it reconnects',
+                            schema: { type: 'integer', minimum: 0 },
+                        },
+                    ],
+                    responses: {
+                        200: {
+                            description: 'The log, as `id: <n>` and `data: <line>` events',
+                            content: {
+                                'text/event-stream': {
+                                    schema: { type: 'string' },
+                                    example: 'id: 1\ndata: Starting Cypress run\n\nid: 2\ndata: RUN_DONE status=done code=0\n\n',
+                                },
+                            },
+                        },
+                        400: { $ref: '#/components/responses/BadRequest' },
+                        401: { $ref: '#/components/responses/Unauthorized' },
+                        404: { $ref: '#/components/responses/NotFound' },
+                    },
+                },
+            },
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'A token from API_TOKENS or API_TOKENS_FILE; not needed when none are configured',
+                },
+                cookieAuth: { type: 'apiKey', in: 'cookie', name: 'runner_token' },
+                queryToken: { type: 'apiKey', in: 'query', name: 'token' },
+            },
+            parameters: {
+                RunId: {
+                    name: 'id',
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                },
+            },
+            responses: {
+                BadRequest: errorResponse('The request is invalid'),
+                Unauthorized: errorResponse('No valid API token was sent'),
+                NotFound: errorResponse('The run does not exist or belongs to another user'),
+                RateLimited: errorResponse('Too many uploads from this address'),
+                InternalError: errorResponse('The server failed to handle the request'),
+            },
+            schemas: {
+                ErrorCode: {
+                    type: 'string',
+                    enum: Object.keys(ERROR_CODES),
+                    description: Object.entries(ERROR_CODES).map(([code, meaning]) => `- \`${code}\`: ${meaning}`).join('\n'),
+                },
+                Error: {
+                    type: 'object',
+                    required: ['ok', 'error', 'code'],
+                    properties: {
+                        ok: { const: false },
+                        error: { type: 'string', description: 'What went wrong, for people' },
+                        code: { $ref: '#/components/schemas/ErrorCode' },
+                        message: { type: 'string', description: 'Underlying error, on some 5xx responses' },
+                        details: {
+                            type: 'array',
+                            description: 'The failed checks of a `validation_failed` error',
+                            items: {
+                                type: 'object',
+                                required: ['in', 'field', 'message'],
+                                properties: {
+                                    in: { enum: ['path', 'query', 'header', 'body'] },
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                },
+                            },
+                        },
+                        entry: { type: 'string', description: 'The archive entry an `unsafe_archive` upload was rejected for' },
+                    },
+                },
+                Health: {
+                    type: 'object',
+                    required: ['ok', 'timestamp', 'uptime', 'runsCount', 'queue'],
+                    properties: {
+                        ok: { const: true },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        uptime: { type: 'number', description: 'Seconds since the server started' },
+                        runsCount: { type: 'integer', minimum: 0 },
+                        queue: {
+                            type: 'object',
+                            required: ['pending', 'active', 'concurrency'],
+                            properties: {
+                                pending: { type: 'integer', minimum: 0 },
+                                active: { type: 'integer', minimum: 0 },
+                                concurrency: { type: 'integer', minimum: 1 },
+                            },
+                        },
+                    },
+                },
+                StartRunForm: {
+                    type: 'object',
+                    required: ['file'],
+                    properties: {
+                        file: {
+                            type: 'string',
+                            format: 'binary',
+                            description: `A project .zip or a single .cy.{js,ts,mjs} spec, up to ${upload.maxFileSizeMB} MB`,
+                        },
+                        baseUrl: { type: 'string', pattern: '^https?://', description: 'baseUrl for the tests' },
+                        priority: {
+                            type: 'string',
+                            pattern: '^(-?\\d+)?$',
+                            description: 'Integer queue priority; higher runs first (default 0)',
+                        },
+                        timeoutMinutes: {
+                            type: 'string',
+                            pattern: '^(\\d+(\\.\\d+)?|\\.\\d+)?$',
+                            description: `Stop the run after this many minutes; at most ${runner.maxRunDurationMinutes}`,
+                        },
+                        browser: listField(`Browser to run in (default ${cypress.browser}), or several to run in each`),
+                        shards: {
+                            type: 'string',
+                            pattern: '^(\\d+)?$',
+                            description: `Split the specs over this many parallel runs, 1 to ${runner.maxShards}`,
+                        },
+                        env: { type: 'string', description: 'Cypress env values as a JSON object' },
+                        secrets: listField('Stored secrets to expose, as NAME or ENV_NAME=NAME'),
+                        webhooks: listField('URLs to notify about the run, besides WEBHOOK_URLS'),
+                    },
+                },
+                StartedRun: {
+                    type: 'object',
+                    required: ['ok', 'runId', 'stream', 'queuePosition'],
+                    properties: {
+                        ok: { const: true },
+                        runId: { type: 'string' },
+                        stream: { type: 'string', description: 'The run\'s log stream route' },
+                        queuePosition: nullable({ type: 'integer', description: 'Place in the queue; null once running' }),
+                        children: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['runId', 'stream', 'queuePosition'],
+                                properties: {
+                                    runId: { type: 'string' },
+                                    browser: { type: 'string' },
+                                    shard: { $ref: '#/components/schemas/Shard' },
+                                    stream: { type: 'string' },
+                                    queuePosition: nullable({ type: 'integer' }),
+                                },
+                            },
+                        },
+                    },
+                },
+                Shard: nullable({
+                    type: 'object',
+                    required: ['index', 'total'],
+                    properties: {
+                        index: { type: 'integer', minimum: 1 },
+                        total: { type: 'integer', minimum: 1 },
+                        estimatedMs: { type: 'number' },
+                    },
+                }),
+                Summary: nullable({
+                    type: 'object',
+                    required: ['total', 'passed', 'failed'],
+                    properties: {
+                        total: { type: 'integer', minimum: 0 },
+                        passed: { type: 'integer', minimum: 0 },
+                        failed: { type: 'integer', minimum: 0 },
+                        pending: { type: 'integer', minimum: 0 },
+                        skipped: { type: 'integer', minimum: 0 },
+                        duration: { type: 'number', description: 'Milliseconds' },
+                    },
+                }),
+                Run: {
+                    type: 'object',
+                    required: ['id', 'createdAt', 'status'],
+                    properties: {
+                        id: { type: 'string' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        startedAt: { type: 'string', format: 'date-time' },
+                        finishedAt: { type: 'string', format: 'date-time' },
+                        status: { enum: RUN_STATUSES },
+                        owner: nullable({ type: 'string' }),
+                        exitCode: nullable({ type: 'integer' }),
+                        priority: { type: 'integer' },
+                        timeoutMinutes: { type: 'number' },
+                        phase: nullable({ type: 'string', description: 'What a running run is doing, e.g. installing' }),
+                        queuePosition: nullable({ type: 'integer' }),
+                        baseUrl: { type: 'string' },
+                        filename: { type: 'string' },
+                        specs: nullable({ type: 'array', items: { type: 'string' } }),
+                        browser: nullable({ type: 'string' }),
+                        browsers: nullable({ type: 'array', items: { type: 'string' } }),
+                        shards: nullable({ type: 'integer' }),
+                        shard: { $ref: '#/components/schemas/Shard' },
+                        parentId: nullable({ type: 'string' }),
+                        projectId: nullable({ type: 'string' }),
+                        trigger: nullable({ type: 'string' }),
+                        env: nullable({ type: 'object', additionalProperties: { type: 'string' } }),
+                        secrets: nullable({
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Env names secrets were exposed as; values are never returned',
+                        }),
+                        rerunOf: nullable({ type: 'string' }),
+                        source: nullable({ type: 'object', description: 'Where a git run was checked out from' }),
+                        summary: { $ref: '#/components/schemas/Summary' },
+                        visual: nullable({ type: 'object', description: 'Screenshot comparison against the baselines' }),
+                        pinned: nullable({ type: 'object', description: 'Who pinned the run, exempting it from retention' }),
+                        storage: nullable({ type: 'object', description: 'Artifact upload state with a remote storage driver' }),
+                        videos: { type: 'array', items: { type: 'string' } },
+                        screenshots: { type: 'array', items: { type: 'string' } },
+                        resultsJson: nullable({ type: 'string' }),
+                        reports: {
+                            type: 'object',
+                            properties: {
+                                junit: nullable({ type: 'string' }),
+                                html: nullable({ type: 'string' }),
+                            },
+                        },
+                        children: nullable({
+                            type: 'array',
+                            description: 'Browser or shard runs of a fanned-out run',
+                            items: { $ref: '#/components/schemas/Run' },
+                        }),
+                    },
+                },
+            },
+        },
+    };
+}
+
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponse(description) {
+    return jsonResponse(description, { $ref: '#/components/schemas/Error' });
+}
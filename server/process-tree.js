@@ -0,0 +1,29 @@
+import { logger } from './logger.js';
+
+// Cypress starts Electron and browser processes of its own. Spawning it with
+// `detached: true` makes it a process group leader, so the whole tree can be
+// signalled at once through the negative pid.
+export function killProcessTree(child, { graceMs = 5000 } = {}) {
+    if (!child || !child.pid) return;
+
+    signalProcessGroup(child, 'SIGTERM');
+
+    // Escalate if anything in the group ignores SIGTERM
+    const timer = setTimeout(() => signalProcessGroup(child, 'SIGKILL'), graceMs);
+    timer.unref();
+    child.once('close', () => clearTimeout(timer));
+}
+
+function signalProcessGroup(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        if (error.code === 'ESRCH') return;
+        // Fall back to the direct child when process groups are unavailable
+        try {
+            child.kill(signal);
+        } catch (killError) {
+            logger.error(`Error sending ${signal} to process ${child.pid}:`, killError);
+        }
+    }
+}
@@ -0,0 +1,84 @@
+import path from 'path';
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Saved projects: what to run (an uploaded bundle or a git source) and how (run
+// settings and an optional cron schedule). Each project is <dir>/<id>.json; an
+// uploaded bundle is kept next to it in <dir>/<id>/.
+
+// Raised when a project's definition is invalid or it cannot be run as configured
+export class ProjectError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectError';
+    }
+}
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'nextRunAt', 'lastTriggeredAt'];
+
+export function createProjectStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const projects = load();
+
+    function load() {
+        const loaded = new Map();
+        fs.readdirSync(dir)
+            .filter(name => name.endsWith('.json'))
+            .forEach(name => {
+                try {
+                    const project = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                    DATE_FIELDS.forEach(field => {
+                        if (project[field]) {
+                            project[field] = new Date(project[field]);
+                        }
+                    });
+                    loaded.set(project.id, project);
+                } catch (error) {
+                    logger.error(`Error loading project ${name}:`, error);
+                }
+            });
+        return loaded;
+    }
+
+    return {
+        list() {
+            return [...projects.values()].sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        get(id) {
+            return projects.get(id) || null;
+        },
+
+        // Insert or update a project (atomically, via a temp file)
+        save(project) {
+            const filePath = path.join(dir, `${project.id}.json`);
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(project, null, 2));
+            fs.renameSync(tmpPath, filePath);
+            projects.set(project.id, project);
+        },
+
+        remove(id) {
+            fs.rmSync(path.join(dir, `${id}.json`), { force: true });
+            fs.rmSync(path.join(dir, id), { recursive: true, force: true });
+            return projects.delete(id);
+        },
+
+        // Where an uploaded bundle of the project is kept
+        bundlePath(project) {
+            return path.join(dir, project.id, project.source.filename);
+        },
+
+        // Replace the project's uploaded bundle
+        saveBundle(project, buffer) {
+            fs.rmSync(path.join(dir, project.id), { recursive: true, force: true });
+            fs.mkdirSync(path.join(dir, project.id), { recursive: true });
+            fs.writeFileSync(this.bundlePath(project), buffer);
+        },
+
+        // Drop the bundle of a project that now uses a git source
+        removeBundle(project) {
+            fs.rmSync(path.join(dir, project.id), { recursive: true, force: true });
+        },
+    };
+}
@@ -0,0 +1,175 @@
+import path from 'path';
+
+// Builds JUnit XML and a standalone HTML page from the parsed results of a run
+// (the structure produced by results-parser.js). Artifact paths are relative to
+// the run directory; both reports live in runs/<id>/results.
+
+export function generateJunitXml(run, testResults) {
+    const { summary, specs } = testResults;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(`Cypress run ${run.id}`)}" tests="${summary.total}" ` +
+            `failures="${summary.failed}" skipped="${summary.pending + summary.skipped}" ` +
+            `time="${seconds(summary.duration)}">`,
+    ];
+
+    specs.forEach(spec => {
+        lines.push(
+            `  <testsuite name="${escapeXml(spec.spec)}" tests="${spec.summary.total}" ` +
+                `failures="${spec.summary.failed}" skipped="${spec.summary.pending + spec.summary.skipped}" ` +
+                `time="${seconds(spec.summary.duration)}"` +
+                (testResults.start ? ` timestamp="${escapeXml(testResults.start)}"` : '') +
+                '>'
+        );
+
+        spec.tests.forEach(test => {
+            const open = `    <testcase name="${escapeXml(test.fullTitle)}" classname="${escapeXml(spec.spec)}" ` +
+                `time="${seconds(test.duration)}"`;
+
+            if (test.state === 'failed') {
+                const message = test.error?.message || 'Test failed';
+                lines.push(`${open}>`);
+                lines.push(
+                    `      <failure message="${escapeXml(message)}">${escapeXml(test.error?.stack || message)}</failure>`
+                );
+                lines.push('    </testcase>');
+            } else if (test.state === 'pending' || test.state === 'skipped') {
+                lines.push(`${open}>`);
+                lines.push(`      <skipped message="${test.state}"/>`);
+                lines.push('    </testcase>');
+            } else {
+                lines.push(`${open}/>`);
+            }
+        });
+
+        lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+export function generateHtmlReport(run, testResults, artifacts = {}) {
+    const { summary, specs } = testResults;
+    const videos = artifacts.videos || [];
+    const screenshots = artifacts.screenshots || [];
+
+    const specSections = specs.map(spec => {
+        const specName = path.basename(spec.spec);
+        const specVideos = videos.filter(video => path.basename(video).startsWith(specName));
+        const specScreenshots = screenshots.filter(shot => shot.split('/').includes(specName));
+
+        const rows = spec.tests.map(test => {
+            const testScreenshots = specScreenshots.filter(shot =>
+                path.basename(shot).includes(test.title)
+            );
+            return `
+            <div class="test ${test.state}">
+                <div class="test-title">
+                    <span class="state">${STATE_ICONS[test.state] || ''}</span>
+                    ${escapeXml(test.fullTitle)}
+                    <span class="duration">${formatDuration(test.duration)}</span>
+                    ${test.retries > 0 ? `<span class="retries">${test.retries} retr${test.retries === 1 ? 'y' : 'ies'}</span>` : ''}
+                </div>
+                ${test.error ? `
+                <div class="error">
+                    <div class="error-message">${escapeXml(test.error.message)}</div>
+                    ${test.error.stack ? `<pre>${escapeXml(test.error.stack)}</pre>` : ''}
+                </div>` : ''}
+                ${testScreenshots.length > 0 ? `
+                <div class="thumbnails">
+                    ${testScreenshots.map(shot => `<a href="../${encodePath(shot)}"><img src="../${encodePath(shot)}" alt="${escapeXml(path.basename(shot))}"></a>`).join('')}
+                </div>` : ''}
+            </div>`;
+        }).join('');
+
+        return `
+        <section class="spec">
+            <h2>${escapeXml(spec.spec)} <small>${formatCounts(spec.summary)}</small></h2>
+            ${specVideos.map(video => `<p><a href="../${encodePath(video)}">🎥 ${escapeXml(path.basename(video))}</a></p>`).join('')}
+            ${rows}
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cypress report ${escapeXml(run.id)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; margin: 0; padding: 30px; background: #f8fafc; color: #1e293b; }
+        h1 { margin: 0 0 5px; }
+        .meta { color: #64748b; margin-bottom: 20px; }
+        .stats { display: flex; gap: 15px; margin-bottom: 25px; }
+        .stat { background: white; border-radius: 8px; padding: 12px 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .stat strong { display: block; font-size: 1.6em; }
+        .spec { background: white; border-radius: 8px; padding: 20px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .spec h2 { font-size: 1.1em; font-family: 'Courier New', monospace; margin-top: 0; }
+        .spec h2 small { font-family: sans-serif; font-weight: 400; color: #64748b; }
+        .test { border-left: 4px solid #cbd5e1; padding: 8px 12px; margin: 8px 0; }
+        .test.passed { border-color: #10b981; }
+        .test.failed { border-color: #ef4444; background: #fef2f2; }
+        .test.pending, .test.skipped { border-color: #f59e0b; color: #64748b; }
+        .duration, .retries { color: #94a3b8; font-size: 0.85em; margin-left: 8px; }
+        .retries { color: #f59e0b; }
+        .error-message { color: #b91c1c; margin-top: 6px; font-weight: 600; }
+        pre { background: #1e293b; color: #e2e8f0; padding: 12px; border-radius: 6px; overflow-x: auto; font-size: 0.85em; }
+        .thumbnails img { max-width: 240px; max-height: 160px; margin: 6px 6px 0 0; border: 1px solid #e2e8f0; border-radius: 4px; }
+    </style>
+</head>
+<body>
+    <h1>Cypress run report</h1>
+    <div class="meta">
+        Run <code>${escapeXml(run.id)}</code> · ${escapeXml(run.filename || '')}
+        ${run.baseUrl ? ` · ${escapeXml(run.baseUrl)}` : ''}
+        ${testResults.start ? ` · ${escapeXml(new Date(testResults.start).toLocaleString())}` : ''}
+    </div>
+    <div class="stats">
+        <div class="stat"><strong>${summary.total}</strong>Tests</div>
+        <div class="stat"><strong>${summary.passed}</strong>Passed</div>
+        <div class="stat"><strong>${summary.failed}</strong>Failed</div>
+        <div class="stat"><strong>${summary.pending + summary.skipped}</strong>Pending / skipped</div>
+        <div class="stat"><strong>${formatDuration(summary.duration)}</strong>Duration</div>
+    </div>
+    ${specSections || '<p>No tests were reported.</p>'}
+</body>
+</html>
+`;
+}
+
+const STATE_ICONS = {
+    passed: '✓',
+    failed: '✗',
+    pending: '⏸',
+    skipped: '↷',
+};
+
+function formatCounts(summary) {
+    return ['passed', 'failed', 'pending', 'skipped']
+        .filter(state => summary[state] > 0)
+        .map(state => `${summary[state]} ${state}`)
+        .join(', ');
+}
+
+function formatDuration(ms) {
+    if (!ms) return '0ms';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function encodePath(relativePath) {
+    return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
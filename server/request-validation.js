@@ -0,0 +1,193 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { logger } from './logger.js';
+import { withErrorCode } from './api-errors.js';
+
+// Checks requests, and optionally responses, against the OpenAPI document. A request that
+// does not match is answered with 400 validation_failed and one `details` item per failed
+// check; a response that does not match is only logged, since the client is not at fault.
+
+const DOCUMENT_ID = 'openapi.json';
+
+// Path, query and header values arrive as strings and are compared after type coercion
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+export function createApiValidator(document, { validateResponses = true } = {}) {
+    // The whole document is one schema, so the operations' $refs resolve against it;
+    // strict mode would reject the OpenAPI keywords around the schemas
+    const ajv = addFormats(new Ajv2020({ allErrors: true, strict: false }));
+    const coercingAjv = addFormats(new Ajv2020({ allErrors: true, strict: false, coerceTypes: 'array' }));
+    // Multipart file fields arrive as the uploaded file's name
+    [ajv, coercingAjv].forEach(instance => {
+        instance.addFormat('binary', true);
+        instance.addSchema(document, DOCUMENT_ID);
+    });
+
+    const operations = new Map();
+    Object.entries(document.paths).forEach(([route, pathItem]) => {
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const pointer = `#/paths/${escapePointer(route)}/${method}`;
+            operations.set(pathItem[method].operationId, compileOperation(pathItem[method], pointer));
+        });
+    });
+
+    function compileOperation(operation, pointer) {
+        const parameters = (operation.parameters || []).map((parameter, index) => ({
+            ...resolve(parameter),
+            schemaRef: `${DOCUMENT_ID}${parameter.$ref || `${pointer}/parameters/${index}`}/schema`,
+        }));
+        const compiled = {
+            parameters: Object.fromEntries(PARAMETER_LOCATIONS.map(location => {
+                const inLocation = parameters.filter(parameter => parameter.in === location);
+                if (inLocation.length === 0) return [location, null];
+                // Header names are matched the way Node lowercases them in req.headers
+                const key = parameter => (location === 'header' ? parameter.name.toLowerCase() : parameter.name);
+                return [location, coercingAjv.compile({
+                    type: 'object',
+                    properties: Object.fromEntries(inLocation.map(parameter => [key(parameter), { $ref: parameter.schemaRef }])),
+                    required: inLocation.filter(parameter => parameter.required).map(key),
+                })];
+            })),
+            body: {},
+            bodyRequired: Boolean(operation.requestBody && resolve(operation.requestBody).required),
+            responses: {},
+        };
+
+        const requestContent = operation.requestBody ? resolve(operation.requestBody).content : {};
+        Object.keys(requestContent).forEach(mediaType => {
+            compiled.body[mediaType] = ajv.compile({
+                $ref: `${DOCUMENT_ID}${pointer}/requestBody/content/${escapePointer(mediaType)}/schema`,
+            });
+        });
+
+        Object.entries(operation.responses || {}).forEach(([status, response]) => {
+            const content = resolve(response).content || {};
+            if (content['application/json']) {
+                const responsePointer = response.$ref
+                    ? `${response.$ref}/content/application~1json/schema`
+                    : `${pointer}/responses/${status}/content/application~1json/schema`;
+                compiled.responses[status] = ajv.compile({ $ref: `${DOCUMENT_ID}${responsePointer}` });
+            }
+        });
+        return compiled;
+    }
+
+    // Follow a local $ref such as #/components/parameters/RunId
+    function resolve(object) {
+        if (!object || !object.$ref) return object;
+        return object.$ref
+            .replace(/^#\//, '')
+            .split('/')
+            .map(unescapePointer)
+            .reduce((value, key) => value[key], document);
+    }
+
+    return {
+        // Express middleware for the route of an operationId. Place it after body parsing
+        // (multer for multipart routes) so the form fields are there to check.
+        validate(operationId) {
+            const operation = operations.get(operationId);
+            if (!operation) {
+                throw new Error(`Unknown API operation: ${operationId}`);
+            }
+
+            return (req, res, next) => {
+                if (validateResponses) {
+                    checkResponses(operationId, operation, res);
+                }
+
+                const details = [
+                    ...checkParameters(operation.parameters.path, req.params, 'path'),
+                    ...checkParameters(operation.parameters.query, req.query, 'query'),
+                    ...checkParameters(operation.parameters.header, req.headers, 'header'),
+                    ...checkBody(operation, req),
+                ];
+                if (details.length > 0) {
+                    return res.status(400).json({
+                        ok: false,
+                        error: `Invalid request: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`,
+                        code: 'validation_failed',
+                        details,
+                    });
+                }
+                next();
+            };
+        },
+    };
+}
+
+function checkParameters(validate, values, location) {
+    if (!validate) return [];
+    // Coercion writes into the object it checks, which must not be the request's own
+    const copy = { ...values };
+    return validate(copy) ? [] : describeErrors(validate.errors, location);
+}
+
+function checkBody({ body, bodyRequired }, req) {
+    const mediaTypes = Object.keys(body);
+    if (mediaTypes.length === 0) return [];
+
+    const mediaType = mediaTypes.find(type => req.is(type));
+    if (!mediaType) {
+        return bodyRequired ? [{ in: 'body', field: 'body', message: `must be sent as ${mediaTypes.join(' or ')}` }] : [];
+    }
+
+    const validate = body[mediaType];
+    const value = mediaType === 'multipart/form-data' ? formFields(req) : req.body;
+    return validate(value) ? [] : describeErrors(validate.errors, 'body');
+}
+
+// multer leaves the text fields in req.body and the file in req.file (or req.files)
+function formFields(req) {
+    const fields = { ...req.body };
+    const files = req.file ? [req.file] : [].concat(...Object.values(req.files || {}));
+    files.forEach(file => {
+        fields[file.fieldname] = file.originalname;
+    });
+    return fields;
+}
+
+function describeErrors(errors, location) {
+    return errors
+        // A failed anyOf or oneOf only repeats the errors of its branches
+        .filter(error => !['anyOf', 'oneOf', 'if'].includes(error.keyword))
+        .map(error => {
+            const segments = error.instancePath.split('/').slice(1).map(unescapePointer);
+            if (error.keyword === 'required') segments.push(error.params.missingProperty);
+            if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+            return {
+                in: location,
+                field: segments.join('.') || location,
+                message: error.keyword === 'required' ? 'is required' : error.message,
+            };
+        });
+}
+
+// Log JSON responses of the operation that its schema does not allow
+function checkResponses(operationId, operation, res) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        const status = String(res.statusCode);
+        const validate = operation.responses[status] || operation.responses[`${status[0]}XX`] || operation.responses.default;
+        // Compared as sent: dates as strings, error bodies with their code
+        const sent = JSON.parse(JSON.stringify(withErrorCode(res.statusCode, body)));
+        if (!validate) {
+            logger.warn(`Response ${status} of ${operationId} has no JSON schema in the API document`);
+        } else if (!validate(sent)) {
+            logger.warn(`Response ${status} of ${operationId} does not match the API schema`, {
+                errors: describeErrors(validate.errors, 'body'),
+            });
+        }
+        return json(body);
+    };
+}
+
+function escapePointer(segment) {
+    return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Turns the mocha JSON written by `--reporter json` into a per-spec, per-test summary.
+//
+// Mocha lists every test in `tests` and additionally files it under `passes`,
+// `failures` or `pending`. Tests that appear in none of those never ran, which
+// is what Cypress does with the rest of a suite after a hook fails: those are
+// reported as `skipped`.
+export function parseMochaResults(report, { defaultSpec = 'unknown' } = {}) {
+    const keyOf = test => `${test.file || ''}\u0000${test.fullTitle}`;
+    const failed = new Set((report.failures || []).map(keyOf));
+    const pending = new Set((report.pending || []).map(keyOf));
+    const passed = new Set((report.passes || []).map(keyOf));
+
+    const specs = new Map();
+    (report.tests || []).forEach(test => {
+        const key = keyOf(test);
+        let state = 'skipped';
+        if (failed.has(key)) state = 'failed';
+        else if (pending.has(key)) state = 'pending';
+        else if (passed.has(key)) state = 'passed';
+
+        const spec = test.file || defaultSpec;
+        if (!specs.has(spec)) {
+            specs.set(spec, { spec, summary: emptySummary(), tests: [] });
+        }
+
+        const entry = specs.get(spec);
+        entry.tests.push({
+            title: test.title,
+            fullTitle: test.fullTitle,
+            spec,
+            state,
+            duration: test.duration || 0,
+            retries: test.currentRetry || 0,
+            error: state === 'failed' ? formatError(test.err) : null,
+        });
+        addToSummary(entry.summary, state, test.duration);
+    });
+
+    const summary = emptySummary();
+    specs.forEach(entry => {
+        Object.keys(summary).forEach(field => {
+            summary[field] += entry.summary[field];
+        });
+    });
+
+    // Prefer mocha's wall-clock duration over the sum of test durations
+    if (report.stats && typeof report.stats.duration === 'number') {
+        summary.duration = report.stats.duration;
+    }
+
+    return {
+        summary,
+        start: report.stats?.start || null,
+        end: report.stats?.end || null,
+        specs: Array.from(specs.values()),
+    };
+}
+
+// Combine the parsed results of runs that each covered different specs (e.g. shards)
+export function mergeTestResults(resultsList) {
+    const summary = emptySummary();
+    const specs = [];
+    let start = null;
+    let end = null;
+
+    resultsList.forEach(results => {
+        Object.keys(summary).forEach(field => {
+            summary[field] += results.summary[field] || 0;
+        });
+        specs.push(...results.specs);
+        if (results.start && (!start || results.start < start)) start = results.start;
+        if (results.end && (!end || results.end > end)) end = results.end;
+    });
+
+    // The shards ran side by side, so wall-clock time is what the merged run took
+    if (start && end) {
+        summary.duration = new Date(end) - new Date(start);
+    }
+
+    return {
+        summary,
+        start,
+        end,
+        specs: specs.sort((a, b) => a.spec.localeCompare(b.spec)),
+    };
+}
+
+// Read and parse a results.json file; returns null if it is missing or unreadable
+export function parseResultsFile(resultsPath, options) {
+    if (!fs.existsSync(resultsPath)) return null;
+
+    try {
+        const report = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+        return parseMochaResults(report, options);
+    } catch (error) {
+        logger.error(`Error parsing results file ${resultsPath}:`, error);
+        return null;
+    }
+}
+
+function emptySummary() {
+    return { total: 0, passed: 0, failed: 0, pending: 0, skipped: 0, duration: 0 };
+}
+
+function addToSummary(summary, state, duration) {
+    summary.total++;
+    summary[state]++;
+    summary.duration += duration || 0;
+}
+
+function formatError(err) {
+    if (!err || Object.keys(err).length === 0) return null;
+    return {
+        message: err.message || String(err),
+        stack: err.stack || null,
+    };
+}
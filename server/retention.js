@@ -0,0 +1,88 @@
+import path from 'path';
+import fs from 'fs';
+
+// Retention policy: which finished runs cleanup deletes. Rules, applied in order:
+//   - age: runs older than maxAgeDaysByStatus[status], or maxAgeDays for other statuses
+//   - count: runs beyond the newest maxRuns
+//   - disk: while the runs left take more than diskBudgetBytes, the runs whose status is
+//     kept for the shortest time go first, oldest first
+// Pinned runs and runs that are still queued or running are never deleted. A limit of 0
+// switches its rule off.
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `runs` are top-level runs; `sizes` maps run id -> bytes on disk (children included).
+// Returns the runs to delete, newest first, each with the reasons that apply.
+export function planRetention(runs, { policy, sizes, now = new Date() }) {
+    const newestFirst = [...runs].sort((a, b) => b.createdAt - a.createdAt);
+    const deletions = new Map();
+    const isDeletable = run => !run.pinned && !ACTIVE_STATUSES.includes(run.status);
+    const remove = (run, reason) => {
+        if (!deletions.has(run.id)) {
+            deletions.set(run.id, { run, reasons: [] });
+        }
+        deletions.get(run.id).reasons.push(reason);
+    };
+    const maxAgeDays = run => policy.maxAgeDaysByStatus[run.status] ?? policy.maxAgeDays;
+
+    newestFirst.filter(isDeletable).forEach(run => {
+        const days = maxAgeDays(run);
+        if (days > 0 && now - run.createdAt > days * DAY_MS) {
+            remove(run, `older than ${days} days (${run.status})`);
+        }
+    });
+
+    if (policy.maxRuns > 0) {
+        newestFirst
+            .filter(run => !deletions.has(run.id))
+            .slice(policy.maxRuns)
+            .filter(isDeletable)
+            .forEach(run => remove(run, `beyond the newest ${policy.maxRuns} runs`));
+    }
+
+    const totalBytes = newestFirst.reduce((sum, run) => sum + (sizes.get(run.id) || 0), 0);
+    let remainingBytes = newestFirst
+        .filter(run => !deletions.has(run.id))
+        .reduce((sum, run) => sum + (sizes.get(run.id) || 0), 0);
+
+    if (policy.diskBudgetBytes > 0 && remainingBytes > policy.diskBudgetBytes) {
+        const keptFor = run => maxAgeDays(run) || Infinity;
+        const evictionOrder = newestFirst
+            .filter(run => !deletions.has(run.id) && isDeletable(run))
+            .sort((a, b) => keptFor(a) - keptFor(b) || a.createdAt - b.createdAt);
+
+        for (const run of evictionOrder) {
+            if (remainingBytes <= policy.diskBudgetBytes) break;
+            remove(run, `over the ${formatMB(policy.diskBudgetBytes)} disk budget`);
+            remainingBytes -= sizes.get(run.id) || 0;
+        }
+    }
+
+    return {
+        totalBytes,
+        remainingBytes,
+        deletions: newestFirst.filter(run => deletions.has(run.id)).map(run => deletions.get(run.id)),
+    };
+}
+
+// Deletions are appended to a JSON-lines audit log
+export function appendAuditEntry(logPath, entry) {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+}
+
+// The latest `limit` audit entries, newest first
+export function readAuditLog(logPath, limit) {
+    if (!fs.existsSync(logPath)) return [];
+    return fs.readFileSync(logPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .reverse()
+        .map(line => JSON.parse(line));
+}
+
+function formatMB(bytes) {
+    return `${Math.round((bytes / (1024 * 1024)) * 100) / 100} MB`;
+}
@@ -0,0 +1,118 @@
+import path from 'path';
+
+// Differences between the parsed results of two runs, test by test. Tests are matched by
+// spec file and full title.
+
+// Durations that moved by less than this are noise, whatever the ratio
+const MIN_DURATION_CHANGE_MS = 100;
+
+// `threshold` is the relative duration change (0.5 = 50%) that counts as significant.
+// Each changed test carries its base and head results and the artifacts of each side.
+export function compareTestResults(base, head, { threshold = 0.5, baseArtifacts = {}, headArtifacts = {} } = {}) {
+    const baseTests = indexTests(base);
+    const headTests = indexTests(head);
+
+    const changes = {
+        newlyFailing: [],
+        newlyPassing: [],
+        added: [],
+        removed: [],
+        durationChanged: [],
+    };
+    let unchanged = 0;
+
+    const describe = (test, baseTest, headTest) => ({
+        spec: test.spec,
+        title: test.title,
+        fullTitle: test.fullTitle,
+        base: baseTest ? outcome(baseTest, baseArtifacts) : null,
+        head: headTest ? outcome(headTest, headArtifacts) : null,
+    });
+
+    headTests.forEach((headTest, key) => {
+        const baseTest = baseTests.get(key);
+        if (!baseTest) {
+            changes.added.push(describe(headTest, null, headTest));
+        } else if (headTest.state === 'failed' && baseTest.state !== 'failed') {
+            changes.newlyFailing.push(describe(headTest, baseTest, headTest));
+        } else if (headTest.state === 'passed' && baseTest.state === 'failed') {
+            changes.newlyPassing.push(describe(headTest, baseTest, headTest));
+        } else if (isDurationChange(baseTest, headTest, threshold)) {
+            changes.durationChanged.push({
+                ...describe(headTest, baseTest, headTest),
+                change: headTest.duration - baseTest.duration,
+                changeRatio: baseTest.duration > 0
+                    ? Math.round(((headTest.duration - baseTest.duration) / baseTest.duration) * 1000) / 1000
+                    : null,
+            });
+        } else {
+            unchanged++;
+        }
+    });
+    baseTests.forEach((baseTest, key) => {
+        if (!headTests.has(key)) {
+            changes.removed.push(describe(baseTest, baseTest, null));
+        }
+    });
+
+    // Biggest slowdowns first
+    changes.durationChanged.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return {
+        summary: {
+            ...Object.fromEntries(Object.entries(changes).map(([kind, tests]) => [kind, tests.length])),
+            unchanged,
+        },
+        ...changes,
+    };
+}
+
+// Videos and screenshots that belong to a test, matched like the HTML report does: videos
+// are named after the spec file, screenshots sit in the spec's folder and carry the title
+export function findTestArtifacts(test, { videos = [], screenshots = [] }) {
+    const specName = path.basename(test.spec);
+    return {
+        videos: videos.filter(video => path.basename(filePath(video)).startsWith(specName)),
+        screenshots: screenshots.filter(shot =>
+            filePath(shot).split('/').includes(specName) && path.basename(filePath(shot)).includes(test.title)
+        ),
+    };
+}
+
+// The file path of an artifact URL, which may be a presigned storage URL with a query
+// string and an encoded path
+function filePath(url) {
+    const [pathname] = url.split('?');
+    try {
+        return decodeURIComponent(pathname);
+    } catch {
+        return pathname;
+    }
+}
+
+function indexTests(results) {
+    const tests = new Map();
+    results.specs.forEach(spec => {
+        spec.tests.forEach(test => {
+            tests.set(`${test.spec}\u0000${test.fullTitle}`, test);
+        });
+    });
+    return tests;
+}
+
+function outcome(test, artifacts) {
+    return {
+        state: test.state,
+        duration: test.duration,
+        retries: test.retries,
+        error: test.error ? test.error.message : null,
+        ...findTestArtifacts(test, artifacts),
+    };
+}
+
+// Only tests that ran on both sides are compared; a skipped test takes no time
+function isDurationChange(baseTest, headTest, threshold) {
+    if (baseTest.state !== headTest.state || !['passed', 'failed'].includes(headTest.state)) return false;
+    const change = Math.abs(headTest.duration - baseTest.duration);
+    return change >= MIN_DURATION_CHANGE_MS && change > baseTest.duration * threshold;
+}
@@ -0,0 +1,77 @@
+import path from 'path';
+import fs from 'fs';
+
+// Every line a run prints is appended to runs/<id>/output.log. A line's
+// 1-based number in that file doubles as its SSE event id, which lets
+// reconnecting clients resume from Last-Event-ID.
+const LOG_FILE = 'output.log';
+
+// Last event id handed out per run
+const lastIds = new Map();
+
+export function runLogPath(run) {
+    return path.join(run.paths.runPath, LOG_FILE);
+}
+
+// Append text to the run's log, one event per line. A bare \r (progress output) ends a
+// line too: SSE clients would read it as a line break inside the event otherwise.
+export function appendRunLog(run, text) {
+    const lines = String(text).split(/\r\n|\r|\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    let lastId = lastIds.has(run.id) ? lastIds.get(run.id) : countLines(runLogPath(run));
+    const events = lines.map(line => ({ id: ++lastId, line }));
+
+    fs.appendFileSync(runLogPath(run), lines.map(line => `${line}\n`).join(''));
+    lastIds.set(run.id, lastId);
+    return events;
+}
+
+// Events logged after the given event id
+export function readRunLog(run, afterId = 0) {
+    const filePath = runLogPath(run);
+    if (!fs.existsSync(filePath)) return [];
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.pop(); // Trailing newline
+    // Logs written before bare \r ended a line may still contain one
+    return lines
+        .map((line, index) => ({ id: index + 1, line: line.replace(/\r/g, '') }))
+        .filter(event => event.id > afterId);
+}
+
+export function forgetRunLog(runId) {
+    lastIds.delete(runId);
+}
+
+// Buffers process output so that only complete lines are logged
+export function createLineBuffer(onLines) {
+    let pending = '';
+    return {
+        push(chunk) {
+            pending += chunk;
+            const end = pending.lastIndexOf('\n');
+            if (end === -1) return;
+            onLines(pending.slice(0, end + 1));
+            pending = pending.slice(end + 1);
+        },
+        flush() {
+            if (pending) {
+                onLines(pending);
+                pending = '';
+            }
+        },
+    };
+}
+
+function countLines(filePath) {
+    if (!fs.existsSync(filePath)) return 0;
+    const content = fs.readFileSync(filePath, 'utf8');
+    let count = 0;
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') count++;
+    }
+    return count;
+}
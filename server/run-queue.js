@@ -0,0 +1,87 @@
+import { logger } from './logger.js';
+
+// Priority-aware FIFO scheduler that caps how many runs execute at once.
+// Higher priority values start first; runs with equal priority keep submission order.
+export function createRunQueue({ concurrency, execute, onChange }) {
+    const pending = [];
+    const active = new Set();
+
+    const notify = () => {
+        if (onChange) {
+            try {
+                onChange();
+            } catch (error) {
+                logger.error('Error in run queue change handler:', error);
+            }
+        }
+    };
+
+    const pump = () => {
+        while (active.size < concurrency && pending.length > 0) {
+            const { runId } = pending.shift();
+            active.add(runId);
+
+            Promise.resolve()
+                .then(() => execute(runId))
+                .catch(error => {
+                    logger.error(`Queued run ${runId} failed:`, error);
+                })
+                .finally(() => {
+                    active.delete(runId);
+                    pump();
+                    notify();
+                });
+        }
+    };
+
+    return {
+        // Add a run to the queue and start it as soon as a slot is free
+        enqueue(runId, priority = 0) {
+            // Inserting before the first lower priority keeps equal priorities in submission order
+            const entry = { runId, priority };
+            const index = pending.findIndex(item => item.priority < priority);
+            if (index === -1) {
+                pending.push(entry);
+            } else {
+                pending.splice(index, 0, entry);
+            }
+            pump();
+            notify();
+        },
+
+        // Drop a run that has not started yet; returns false if it was not waiting
+        remove(runId) {
+            const index = pending.findIndex(item => item.runId === runId);
+            if (index === -1) return false;
+            pending.splice(index, 1);
+            notify();
+            return true;
+        },
+
+        // 1-based position of a waiting run, or null if it is not waiting
+        position(runId) {
+            const index = pending.findIndex(item => item.runId === runId);
+            return index === -1 ? null : index + 1;
+        },
+
+        pendingIds() {
+            return pending.map(item => item.runId);
+        },
+
+        isActive(runId) {
+            return active.has(runId);
+        },
+
+        get pendingCount() {
+            return pending.length;
+        },
+
+        get activeCount() {
+            return active.size;
+        },
+
+        get concurrency() {
+            return concurrency;
+        },
+    };
+}
@@ -0,0 +1,116 @@
+import path from 'path';
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Each run keeps its metadata in runs/<id>/run.json so the registry survives restarts
+const METADATA_FILE = 'run.json';
+
+const PERSISTED_FIELDS = [
+    'id',
+    'status',
+    'owner',
+    'priority',
+    'timeoutMinutes',
+    'baseUrl',
+    'filename',
+    'specs',
+    'rerunOf',
+    'webhooks',
+    'env',
+    'secrets',
+    'browser',
+    'browsers',
+    'shards',
+    'shard',
+    'parentId',
+    'projectId',
+    'trigger',
+    'visual',
+    'pinned',
+    'storage',
+    'children',
+    'source',
+    'createdAt',
+    'startedAt',
+    'finishedAt',
+    'exitCode',
+    'summary',
+];
+
+const DATE_FIELDS = ['createdAt', 'startedAt', 'finishedAt'];
+
+// Write a run's metadata next to its artifacts (atomically, via a temp file)
+export function saveRunMetadata(run) {
+    const metadata = {};
+    PERSISTED_FIELDS.forEach(field => {
+        if (run[field] !== undefined) {
+            metadata[field] = run[field];
+        }
+    });
+
+    const filePath = path.join(run.paths.runPath, METADATA_FILE);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(metadata, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Rebuild run records from every runs/<id> directory on disk
+export function loadRunsFromDisk(runsDir) {
+    if (!fs.existsSync(runsDir)) return [];
+
+    const loaded = [];
+    fs.readdirSync(runsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach(entry => {
+            const runPath = path.join(runsDir, entry.name);
+            try {
+                const run = readRunMetadata(runPath) || inferRunMetadata(entry.name, runPath);
+                run.id = entry.name;
+                run.paths = { runPath, workPath: path.join(runPath, 'work') };
+                loaded.push(run);
+            } catch (error) {
+                logger.error(`Error loading run ${entry.name} from disk:`, error);
+            }
+        });
+
+    return loaded;
+}
+
+function readRunMetadata(runPath) {
+    const filePath = path.join(runPath, METADATA_FILE);
+    if (!fs.existsSync(filePath)) return null;
+
+    const run = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    DATE_FIELDS.forEach(field => {
+        if (run[field]) {
+            run[field] = new Date(run[field]);
+        }
+    });
+    return run;
+}
+
+// Best-effort metadata for run directories created before run.json existed
+function inferRunMetadata(runId, runPath) {
+    const createdAt = parseRunIdTimestamp(runId) || fs.statSync(runPath).birthtime;
+    const exitCodePath = path.join(runPath, 'exit-code.txt');
+
+    if (fs.existsSync(exitCodePath)) {
+        const exitCode = parseInt(fs.readFileSync(exitCodePath, 'utf8'), 10);
+        return {
+            createdAt,
+            status: exitCode === 0 ? 'done' : 'failed',
+            exitCode: Number.isNaN(exitCode) ? null : exitCode,
+        };
+    }
+
+    return { createdAt, status: 'interrupted', exitCode: null };
+}
+
+// Run ids start with an ISO timestamp whose ':' and '.' were replaced by '-'
+function parseRunIdTimestamp(runId) {
+    const match = runId.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+    if (!match) return null;
+    const [, day, hours, minutes, seconds, millis] = match;
+    const date = new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import { URL } from 'url';
+
+// Minimal client for S3-compatible object stores (AWS S3, MinIO, Ceph, ...): put, get,
+// list and delete objects, and presigned GET URLs. Requests are signed with AWS
+// Signature Version 4; presigning needs no network access, so it stays synchronous.
+
+const SERVICE = 's3';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// An S3 request that came back with an error status; `code` is the S3 error code when known
+export class S3Error extends Error {
+    constructor(message, { status, code } = {}) {
+        super(message);
+        this.name = 'S3Error';
+        this.status = status;
+        this.code = code || null;
+    }
+}
+
+// `endpoint` defaults to AWS; `publicEndpoint` is where browsers reach the store, for
+// presigned URLs. Path-style addressing (endpoint/bucket/key) is what MinIO expects.
+export function createS3Client({
+    endpoint,
+    publicEndpoint,
+    region,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+}) {
+    const apiBase = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const publicBase = publicEndpoint ? new URL(publicEndpoint) : apiBase;
+    const credentials = { accessKeyId, secretAccessKey, region };
+
+    function objectUrl(base, key = '') {
+        const url = new URL(base.href);
+        const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+        if (forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${encodedKey}`;
+        } else {
+            url.hostname = `${bucket}.${url.hostname}`;
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodedKey}`;
+        }
+        return url;
+    }
+
+    // Anything but a success or one of the `allowedStatuses` fails
+    async function send(method, url, { body, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, allowedStatuses = [] } = {}) {
+        const amzDate = toAmzDate(new Date());
+        const signedHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+        };
+        signedHeaders.authorization = authorizationHeader({ method, url, headers: signedHeaders, payloadHash, amzDate, credentials });
+        delete signedHeaders.host;
+
+        const response = await fetch(url, {
+            method,
+            headers: signedHeaders,
+            body,
+            // Request bodies are file streams
+            duplex: body ? 'half' : undefined,
+        });
+        if (!response.ok && !allowedStatuses.includes(response.status)) {
+            throw await responseError(method, url, response);
+        }
+        return response;
+    }
+
+    return {
+        bucket,
+
+        // Upload a stream of `contentLength` bytes. The payload is not hashed up front, so
+        // large videos are streamed instead of buffered.
+        async putObject(key, body, { contentLength, contentType }) {
+            const response = await send('PUT', objectUrl(apiBase, key), {
+                body,
+                payloadHash: UNSIGNED_PAYLOAD,
+                headers: {
+                    'content-length': String(contentLength),
+                    'content-type': contentType,
+                },
+            });
+            await response.body?.cancel();
+        },
+
+        // The fetch Response of a GET, or null when the object does not exist. A `range`
+        // header is passed on, and an unsatisfiable range comes back as a 416 response.
+        async getObject(key, { range } = {}) {
+            const response = await send('GET', objectUrl(apiBase, key), {
+                headers: range ? { range } : {},
+                allowedStatuses: [404, 416],
+            });
+            if (response.status === 404) {
+                await response.body?.cancel();
+                return null;
+            }
+            return response;
+        },
+
+        async deleteObject(key) {
+            const response = await send('DELETE', objectUrl(apiBase, key), { allowedStatuses: [404] });
+            await response.body?.cancel();
+        },
+
+        // Every key starting with `prefix`, following continuation tokens
+        async listKeys(prefix) {
+            const keys = [];
+            let continuationToken = null;
+            do {
+                const url = objectUrl(apiBase);
+                url.searchParams.set('list-type', '2');
+                url.searchParams.set('prefix', prefix);
+                if (continuationToken) {
+                    url.searchParams.set('continuation-token', continuationToken);
+                }
+                const response = await send('GET', url);
+                const xml = await response.text();
+                keys.push(...xmlValues(xml, 'Key'));
+                continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true'
+                    ? xmlValues(xml, 'NextContinuationToken')[0]
+                    : null;
+            } while (continuationToken);
+            return keys;
+        },
+
+        // Presigned GET URL on the public endpoint, valid for `expiresIn` seconds from `now`
+        presignGetObject(key, expiresIn, now = new Date()) {
+            return presignUrl({ url: objectUrl(publicBase, key), expiresIn, credentials, now });
+        },
+    };
+}
+
+function presignUrl({ url, expiresIn, credentials, now }) {
+    const amzDate = toAmzDate(now);
+    const signed = new URL(url.href);
+    signed.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    signed.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${credentialScope(amzDate, credentials.region)}`);
+    signed.searchParams.set('X-Amz-Date', amzDate);
+    signed.searchParams.set('X-Amz-Expires', String(expiresIn));
+    signed.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const canonicalRequest = [
+        'GET',
+        signed.pathname,
+        canonicalQuery(signed.searchParams),
+        `host:${signed.host}\n`,
+        'host',
+        UNSIGNED_PAYLOAD,
+    ].join('\n');
+    // Not signed.searchParams: URLSearchParams encodes spaces as "+", which S3 reads as a literal plus
+    signed.search = `${canonicalQuery(signed.searchParams)}&X-Amz-Signature=${signature(canonicalRequest, amzDate, credentials)}`;
+    return signed.href;
+}
+
+function authorizationHeader({ method, url, headers, payloadHash, amzDate, credentials }) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery(url.searchParams),
+        names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+        names.join(';'),
+        payloadHash,
+    ].join('\n');
+
+    return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${credentialScope(amzDate, credentials.region)}, `
+        + `SignedHeaders=${names.join(';')}, Signature=${signature(canonicalRequest, amzDate, credentials)}`;
+}
+
+function signature(canonicalRequest, amzDate, { secretAccessKey, region }) {
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        credentialScope(amzDate, region),
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+    ].join('\n');
+
+    const signingKey = [amzDate.slice(0, 8), region, SERVICE, 'aws4_request']
+        .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+function credentialScope(amzDate, region) {
+    return `${amzDate.slice(0, 8)}/${region}/${SERVICE}/aws4_request`;
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// 20130524T000000Z
+function toAmzDate(date) {
+    return date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+function canonicalQuery(params) {
+    return Array.from(params.entries())
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+async function responseError(method, url, response) {
+    const body = await response.text().catch(() => '');
+    const code = xmlValues(body, 'Code')[0];
+    const message = xmlValues(body, 'Message')[0];
+    return new S3Error(
+        `S3 ${method} ${url.pathname} failed with ${response.status}${code ? ` ${code}` : ''}${message ? `: ${message}` : ''}`,
+        { status: response.status, code }
+    );
+}
+
+// Text of every <tag> element; S3 responses are flat enough not to need an XML parser
+function xmlValues(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    return Array.from(xml.matchAll(pattern), match => decodeXml(match[1]));
+}
+
+function decodeXml(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return entities[name] ?? entity;
+    });
+}
@@ -0,0 +1,124 @@
+import AdmZip from 'adm-zip';
+import path from 'path';
+import fs from 'fs';
+
+// Raised when an uploaded archive is malformed or breaks one of the extraction rules
+export class UnsafeArchiveError extends Error {
+    constructor(message, entryName = null) {
+        super(message);
+        this.name = 'UnsafeArchiveError';
+        this.entryName = entryName;
+    }
+}
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Entries smaller than this are not held to the compression ratio limit;
+// tiny text files routinely compress far better than any sane threshold
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+// Extract a ZIP buffer into destination, refusing entries that would escape it,
+// symlinks, and archives that inflate beyond the configured limits. Every entry
+// is checked before anything is written.
+export function extractZipSafely(buffer, destination, limits) {
+    const { maxEntries, maxTotalBytes, maxCompressionRatio } = limits;
+
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new UnsafeArchiveError(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    const entries = zip.getEntries();
+    if (entries.length > maxEntries) {
+        throw new UnsafeArchiveError(`ZIP contains ${entries.length} entries; the limit is ${maxEntries}`);
+    }
+
+    const root = path.resolve(destination);
+    let declaredTotal = 0;
+    const planned = entries.map(entry => {
+        const name = entry.entryName;
+        const target = resolveEntryPath(root, name);
+
+        const mode = (entry.header.attr >>> 16) & S_IFMT;
+        if (mode === S_IFLNK) {
+            throw new UnsafeArchiveError(`ZIP entry "${name}" is a symbolic link`, name);
+        }
+
+        if (!entry.isDirectory) {
+            const { size, compressedSize } = entry.header;
+            // The inflater bounds output by the declared size, except when that size is 0
+            if (size === 0 && compressedSize > 16) {
+                throw new UnsafeArchiveError(`ZIP entry "${name}" has an invalid declared size`, name);
+            }
+            if (size >= RATIO_CHECK_MIN_BYTES && size / Math.max(compressedSize, 1) > maxCompressionRatio) {
+                throw new UnsafeArchiveError(
+                    `ZIP entry "${name}" exceeds the maximum compression ratio of ${maxCompressionRatio}`,
+                    name
+                );
+            }
+            declaredTotal += size;
+            if (declaredTotal > maxTotalBytes) {
+                throw new UnsafeArchiveError(
+                    `ZIP expands beyond the ${formatBytes(maxTotalBytes)} limit at entry "${name}"`,
+                    name
+                );
+            }
+        }
+
+        return { entry, target };
+    });
+
+    let writtenTotal = 0;
+    planned.forEach(({ entry, target }) => {
+        if (entry.isDirectory) {
+            fs.mkdirSync(target, { recursive: true });
+            return;
+        }
+
+        let data;
+        try {
+            data = entry.getData();
+        } catch (error) {
+            // adm-zip throws on a bad checksum or deflate stream, zlib when the entry
+            // inflates beyond its declared size
+            throw new UnsafeArchiveError(`ZIP entry "${entry.entryName}" cannot be extracted: ${error.message}`, entry.entryName);
+        }
+        writtenTotal += data.length;
+        if (data.length > entry.header.size || writtenTotal > maxTotalBytes) {
+            throw new UnsafeArchiveError(`ZIP entry "${entry.entryName}" is larger than declared`, entry.entryName);
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+    });
+
+    return { entries: entries.length, bytes: writtenTotal };
+}
+
+// Resolve an entry name inside root, rejecting anything that could land outside it
+function resolveEntryPath(root, name) {
+    if (name.includes('\0')) {
+        throw new UnsafeArchiveError('ZIP entry name contains a null byte', name);
+    }
+
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+        throw new UnsafeArchiveError(`ZIP entry "${name}" has an absolute path`, name);
+    }
+    if (normalized.split('/').includes('..')) {
+        throw new UnsafeArchiveError(`ZIP entry "${name}" points outside the project directory`, name);
+    }
+
+    const target = path.resolve(root, normalized);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+        throw new UnsafeArchiveError(`ZIP entry "${name}" points outside the project directory`, name);
+    }
+    return target;
+}
+
+function formatBytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
@@ -0,0 +1,63 @@
+// Secret values known to the server. Anything matching one of them is replaced
+// before it reaches a run log, an SSE client or the server logs.
+
+const MASK = '********';
+
+// Shorter values would mask ordinary text all over the logs, so the secrets store refuses them
+export const MIN_SECRET_LENGTH = 4;
+
+// Value -> number of secrets holding it, so removing one secret keeps a shared value masked
+const values = new Map();
+let ordered = [];
+
+export function registerSecretValue(value) {
+    if (typeof value !== 'string' || value === '') return;
+    values.set(value, (values.get(value) || 0) + 1);
+    reorder();
+}
+
+export function unregisterSecretValue(value) {
+    const count = values.get(value);
+    if (!count) return;
+    if (count > 1) {
+        values.set(value, count - 1);
+    } else {
+        values.delete(value);
+        reorder();
+    }
+}
+
+export function maskSecrets(text) {
+    if (typeof text !== 'string' || ordered.length === 0) return text;
+    let masked = text;
+    ordered.forEach(value => {
+        if (masked.includes(value)) {
+            masked = masked.split(value).join(MASK);
+        }
+    });
+    return masked;
+}
+
+// Masked copy of a log metadata value (strings, arrays and plain objects)
+export function maskSecretsDeep(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return maskSecrets(value);
+    if (!value || typeof value !== 'object' || ordered.length === 0) return value;
+    if (seen.has(value)) return value;
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => maskSecretsDeep(item, seen));
+    }
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const masked = {};
+    Object.entries(value).forEach(([key, item]) => {
+        masked[key] = maskSecretsDeep(item, seen);
+    });
+    return masked;
+}
+
+// Longest first, so a secret that contains another one is masked whole
+function reorder() {
+    ordered = [...values.keys()].sort((a, b) => b.length - a.length);
+}
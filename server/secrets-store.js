@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { logger } from './logger.js';
+import { registerSecretValue, unregisterSecretValue, MIN_SECRET_LENGTH } from './secret-masking.js';
+
+// Named secrets that runs reference at start time. Values are encrypted with
+// AES-256-GCM under a key derived from SECRETS_KEY and kept in a single JSON
+// file; names and timestamps are stored in the clear.
+
+export const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,127}$/;
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'cypress-runner-secrets';
+
+// Raised for invalid secret names or values, and when no SECRETS_KEY is configured
+export class SecretsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SecretsError';
+    }
+}
+
+export function createSecretsStore({ filePath, key }) {
+    const encryptionKey = key ? crypto.scryptSync(key, KEY_SALT, 32) : null;
+    const entries = encryptionKey ? load() : new Map();
+
+    function load() {
+        const loaded = new Map();
+        if (!fs.existsSync(filePath)) return loaded;
+
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.entries(stored.secrets || {}).forEach(([name, entry]) => {
+            try {
+                const value = decrypt(entry);
+                // Stored before the minimum length was enforced; still masked, but worth replacing
+                if (value.length < MIN_SECRET_LENGTH) {
+                    logger.warn(`Secret "${name}" is shorter than ${MIN_SECRET_LENGTH} characters; replace it with a longer value`);
+                }
+                registerSecretValue(value);
+                loaded.set(name, entry);
+            } catch {
+                logger.error(`Cannot decrypt secret "${name}"; was SECRETS_KEY changed?`);
+            }
+        });
+        logger.info(`Loaded ${loaded.size} secrets`);
+        return loaded;
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ secrets: Object.fromEntries(entries) }, null, 2), {
+            mode: 0o600,
+        });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function encrypt(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
+        const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        };
+    }
+
+    function decrypt(entry) {
+        const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey, Buffer.from(entry.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    function requireKey() {
+        if (!encryptionKey) {
+            throw new SecretsError('Secrets are disabled; set SECRETS_KEY to enable them');
+        }
+    }
+
+    return {
+        get enabled() {
+            return Boolean(encryptionKey);
+        },
+
+        // Names and timestamps only; values never leave the store through the API
+        list() {
+            return [...entries.entries()]
+                .map(([name, { createdAt, updatedAt, updatedBy }]) => ({ name, createdAt, updatedAt, updatedBy }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        has(name) {
+            return entries.has(name);
+        },
+
+        // Decrypted value, or null when there is no such secret
+        reveal(name) {
+            requireKey();
+            const entry = entries.get(name);
+            return entry ? decrypt(entry) : null;
+        },
+
+        // Create or replace a secret; returns true when it was created
+        set(name, value, updatedBy) {
+            requireKey();
+            if (!SECRET_NAME_PATTERN.test(name)) {
+                throw new SecretsError(`Invalid secret name: ${name}`);
+            }
+            if (typeof value !== 'string' || value === '') {
+                throw new SecretsError('Secret value must be a non-empty string');
+            }
+            if (value.length < MIN_SECRET_LENGTH) {
+                throw new SecretsError(`Secret value must be at least ${MIN_SECRET_LENGTH} characters long`);
+            }
+
+            const existing = entries.get(name);
+            if (existing) {
+                unregisterSecretValue(decrypt(existing));
+            }
+            registerSecretValue(value);
+
+            const now = new Date().toISOString();
+            entries.set(name, {
+                ...encrypt(value),
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now,
+                updatedBy,
+            });
+            save();
+            return !existing;
+        },
+
+        remove(name) {
+            requireKey();
+            const entry = entries.get(name);
+            if (!entry) return false;
+
+            unregisterSecretValue(decrypt(entry));
+            entries.delete(name);
+            save();
+            return true;
+        },
+    };
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+
+// Cypress' own specPattern default for projects with a config file...
+const DEFAULT_SPEC_PATTERN = 'cypress/e2e/**/*.cy.{js,jsx,ts,tsx}';
+// ...and the one runs without a config file are started with
+const NO_CONFIG_SPEC_PATTERN = 'cypress/e2e/**/*.cy.*';
+
+// e2e.specPattern of a project's Cypress config, as a list of globs: what `cypress run` picks
+// specs from when the run is not given --spec. Config files are code, so the pattern is read
+// from their text; null when it is set to something other than string literals.
+export function readSpecPattern(configFile) {
+    if (!configFile) return [NO_CONFIG_SPEC_PATTERN];
+
+    const source = fs.readFileSync(configFile, 'utf8');
+    if (path.basename(configFile) === 'cypress.json') {
+        const pattern = JSON.parse(source).e2e?.specPattern;
+        return pattern ? [].concat(pattern) : [DEFAULT_SPEC_PATTERN];
+    }
+
+    const e2e = /\be2e['"]?\s*:\s*\{/.exec(source);
+    const block = e2e ? objectLiteralAt(source, e2e.index + e2e[0].length - 1) : '';
+    const value = /\bspecPattern['"]?\s*:\s*/.exec(block);
+    if (!value) return [DEFAULT_SPEC_PATTERN];
+
+    return readStringLiterals(block.slice(value.index + value[0].length));
+}
+
+// Project-relative spec paths (posix separators, like the `file` of parsed results)
+export async function discoverSpecs(workPath, specPattern) {
+    const specs = await glob(specPattern, {
+        cwd: workPath,
+        ignore: ['**/node_modules/**'],
+        nodir: true,
+        posix: true,
+    });
+    return specs.sort();
+}
+
+// Split specs into at most shardCount groups of similar total duration. Durations come
+// from earlier runs (spec -> ms); specs without one count as the average known duration.
+// Longest specs are placed first, each on the currently lightest shard.
+export function planShards(specs, shardCount, durations = new Map()) {
+    const count = Math.max(1, Math.min(shardCount, specs.length));
+    const known = specs.map(spec => durations.get(spec)).filter(duration => Number.isFinite(duration));
+    const fallback = known.length > 0 ? known.reduce((sum, duration) => sum + duration, 0) / known.length : 1;
+
+    const shards = Array.from({ length: count }, () => ({ specs: [], duration: 0 }));
+    specs
+        .map(spec => ({ spec, duration: durations.get(spec) ?? fallback }))
+        .sort((a, b) => b.duration - a.duration || a.spec.localeCompare(b.spec))
+        .forEach(({ spec, duration }) => {
+            const lightest = shards.reduce((min, shard) => (shard.duration < min.duration ? shard : min));
+            lightest.specs.push(spec);
+            lightest.duration += duration;
+        });
+
+    return shards
+        .filter(shard => shard.specs.length > 0)
+        .map(shard => ({ specs: shard.specs.sort(), estimatedMs: Math.round(shard.duration) }));
+}
+
+// The string literal, or array of string literals, `text` starts with; null for anything else
+function readStringLiterals(text) {
+    const literal = /\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*/y;
+    const read = (from) => {
+        literal.lastIndex = from;
+        const match = literal.exec(text);
+        // A template literal with ${...} is computed at run time
+        return match && !(match[1] === '`' && match[2].includes('${')) ? match : null;
+    };
+
+    if (!text.startsWith('[')) {
+        const match = read(0);
+        return match ? [match[2]] : null;
+    }
+
+    const patterns = [];
+    let position = 1;
+    for (;;) {
+        const match = read(position);
+        if (!match) break;
+        patterns.push(match[2]);
+        position = literal.lastIndex;
+        if (text[position] !== ',') break;
+        position++;
+    }
+    return patterns.length > 0 && /^\s*\]/.test(text.slice(position)) ? patterns : null;
+}
+
+// Text of the object literal whose `{` is at `start`, skipping braces inside strings and comments
+function objectLiteralAt(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\'' || char === '"' || char === '`') {
+            i = source.indexOf(char, i + 1);
+            while (i !== -1 && source[i - 1] === '\\') i = source.indexOf(char, i + 1);
+            if (i === -1) break;
+        } else if (source.startsWith('//', i)) {
+            i = source.indexOf('\n', i);
+            if (i === -1) break;
+        } else if (source.startsWith('/*', i)) {
+            i = source.indexOf('*/', i);
+            if (i === -1) break;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return source.slice(start, i + 1);
+        }
+    }
+    return source.slice(start);
+}
@@ -0,0 +1,106 @@
+// Per-test history across runs, built from the parsed results of each run. A test is
+// identified by its project, spec file and full title, so the same spec name in two
+// projects keeps two histories.
+
+// A change of more than this between the older and newer half of a history is a trend
+const TREND_THRESHOLD = 0.1;
+
+// Group the tests of runs (given oldest first as [{ run, project, browser, results }]) into
+// histories: { project, spec, title, fullTitle, timeline: [...] }
+export function collectTestHistories(entries) {
+    const histories = new Map();
+    entries.forEach(({ run, project, browser, results }) => {
+        results.specs.forEach(spec => {
+            spec.tests.forEach(test => {
+                const key = `${project}\u0000${test.spec}\u0000${test.fullTitle}`;
+                if (!histories.has(key)) {
+                    histories.set(key, {
+                        project,
+                        spec: test.spec,
+                        title: test.title,
+                        fullTitle: test.fullTitle,
+                        timeline: [],
+                    });
+                }
+                histories.get(key).timeline.push({
+                    runId: run.id,
+                    createdAt: run.createdAt,
+                    browser,
+                    state: test.state,
+                    retries: test.retries || 0,
+                    duration: test.duration || 0,
+                    error: test.error ? test.error.message : null,
+                });
+            });
+        });
+    });
+    return Array.from(histories.values());
+}
+
+// Failure rate, average duration, trends and flakiness of one test's timeline (oldest
+// first). Only passed and failed results count; pending and skipped tests did not run.
+//
+// The flakiness score is the share of results that disagree with the one before them
+// (a pass after a failure or the other way round) or that only passed on a retry. A
+// test that always fails scores 0: it is broken, not flaky.
+export function summarizeTestHistory(timeline) {
+    const executed = timeline.filter(entry => entry.state === 'passed' || entry.state === 'failed');
+    const failed = executed.filter(entry => entry.state === 'failed').length;
+    const passedOnRetry = executed.filter(entry => entry.state === 'passed' && entry.retries > 0).length;
+    const flips = executed.filter((entry, index) => index > 0 && entry.state !== executed[index - 1].state).length;
+    const last = timeline[timeline.length - 1];
+
+    return {
+        runs: timeline.length,
+        executed: executed.length,
+        passed: executed.length - failed,
+        failed,
+        passedOnRetry,
+        failureRate: ratio(failed, executed.length),
+        averageDuration: Math.round(average(executed.map(entry => entry.duration))),
+        flakinessScore: Math.min(1, ratio(flips + passedOnRetry, executed.length)),
+        trend: {
+            failures: failureTrend(executed),
+            duration: durationTrend(executed),
+        },
+        lastState: last ? last.state : null,
+        lastRunAt: last ? last.createdAt : null,
+    };
+}
+
+// 'worsening' when the newer half fails noticeably more often than the older half
+function failureTrend(executed) {
+    const [older, newer] = halves(executed);
+    if (older.length === 0) return 'stable';
+
+    const failureRate = entries => ratio(entries.filter(entry => entry.state === 'failed').length, entries.length);
+    const change = failureRate(newer) - failureRate(older);
+    if (change > TREND_THRESHOLD) return 'worsening';
+    if (change < -TREND_THRESHOLD) return 'improving';
+    return 'stable';
+}
+
+// 'slower' when the newer half takes noticeably longer on average than the older half
+function durationTrend(executed) {
+    const [older, newer] = halves(executed);
+    const before = average(older.map(entry => entry.duration));
+    if (older.length === 0 || before === 0) return 'stable';
+
+    const change = (average(newer.map(entry => entry.duration)) - before) / before;
+    if (change > TREND_THRESHOLD) return 'slower';
+    if (change < -TREND_THRESHOLD) return 'faster';
+    return 'stable';
+}
+
+function halves(entries) {
+    const middle = Math.floor(entries.length / 2);
+    return [entries.slice(0, middle), entries.slice(entries.length - middle)];
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function ratio(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { globSync } from 'glob';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// Visual regression: approved screenshots are kept as a baseline per project and
+// browser, and the screenshots of later runs are compared with it pixel by pixel.
+// Screenshots are identified by their path below cypress/screenshots, e.g.
+// "home.cy.js/home page.png".
+
+// Raised for review requests that cannot be applied (unknown screenshots, nothing to approve)
+export class VisualError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VisualError';
+    }
+}
+
+// PNG screenshots below a folder as sorted posix paths relative to it
+export function listScreenshots(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return globSync('**/*.png', { cwd: dir, nodir: true, posix: true }).sort();
+}
+
+// Whether a screenshot was taken by one of the given project-relative spec files. Cypress
+// names a spec's screenshot folder after the spec's path below the specs' common folder,
+// so "login/form.cy.js/..." belongs to "cypress/e2e/login/form.cy.js".
+export function isScreenshotOfSpecs(name, specs) {
+    const segments = name.split('/');
+    return segments.slice(0, -1).some((_segment, index) => {
+        const specPath = segments.slice(0, index + 1).join('/');
+        return specs.some(spec => spec === specPath || spec.endsWith(`/${specPath}`));
+    });
+}
+
+// Baselines live in <dir>/<hash of the key>/, with the images under images/ and
+// who approved them from which run in baseline.json
+export function createBaselineStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const folderOf = key => path.join(dir, crypto.createHash('sha256').update(key).digest('hex').slice(0, 16));
+    const imagesOf = key => path.join(folderOf(key), 'images');
+
+    function readMeta(key) {
+        const metaPath = path.join(folderOf(key), 'baseline.json');
+        if (!fs.existsSync(metaPath)) return null;
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        meta.approvedAt = new Date(meta.approvedAt);
+        return meta;
+    }
+
+    return {
+        get(key) {
+            return readMeta(key);
+        },
+
+        imagesDir(key) {
+            return imagesOf(key);
+        },
+
+        // Copy screenshots from a run into the baseline. Without `names` the run's
+        // screenshots replace the baseline; otherwise only the named ones are updated,
+        // and a named screenshot the run does not have is dropped from the baseline.
+        promote(key, screenshotsDir, { runId, approvedBy, names, specs }) {
+            const images = imagesOf(key);
+            // Approving a whole run replaces the baseline; a run of some specs only replaces theirs
+            if (!names && !specs) {
+                fs.rmSync(images, { recursive: true, force: true });
+            } else if (!names) {
+                listScreenshots(images)
+                    .filter(name => isScreenshotOfSpecs(name, specs))
+                    .forEach(name => fs.rmSync(path.join(images, name), { force: true }));
+            }
+
+            (names || listScreenshots(screenshotsDir)).forEach(name => {
+                const source = path.join(screenshotsDir, name);
+                const target = path.join(images, name);
+                if (fs.existsSync(source)) {
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    fs.copyFileSync(source, target);
+                } else {
+                    fs.rmSync(target, { force: true });
+                }
+            });
+
+            const meta = {
+                key,
+                runId,
+                approvedBy,
+                approvedAt: new Date(),
+                screenshots: listScreenshots(images),
+            };
+            fs.mkdirSync(folderOf(key), { recursive: true });
+            fs.writeFileSync(path.join(folderOf(key), 'baseline.json'), JSON.stringify(meta, null, 2));
+            return meta;
+        },
+    };
+}
+
+// Compare a run's screenshots with a baseline. For every screenshot that differs a
+// diff image is written to <outputDir>/diff/<name> and the baseline image it was
+// compared with is copied to <outputDir>/baseline/<name>, so the run keeps showing
+// what it was checked against after the baseline moves on.
+//
+// Screenshots without a baseline are 'new' and baseline images the run did not
+// produce are 'missing'; neither fails the comparison. A run of only some `specs` (a
+// shard, a rerun of failed specs) only misses the baseline images of those specs.
+export function compareScreenshots({ screenshotsDir, baselineDir, outputDir, pixelThreshold, maxDiffRatio, specs }) {
+    const current = listScreenshots(screenshotsDir);
+    const baseline = listScreenshots(baselineDir);
+
+    const screenshots = current.map(name => {
+        if (!baseline.includes(name)) {
+            return { name, status: 'new' };
+        }
+
+        let result;
+        try {
+            result = diffImages(path.join(baselineDir, name), path.join(screenshotsDir, name), pixelThreshold);
+        } catch (error) {
+            result = { diffPixels: null, diffRatio: 1, reason: `Unreadable image: ${error.message}` };
+        }
+        const failed = Boolean(result.reason) || result.diffRatio > maxDiffRatio;
+        if (failed || result.diffPixels > 0) {
+            writeFile(path.join(outputDir, 'baseline', name), fs.readFileSync(path.join(baselineDir, name)));
+            if (result.diff) {
+                writeFile(path.join(outputDir, 'diff', name), PNG.sync.write(result.diff));
+            }
+        }
+        return {
+            name,
+            status: failed ? 'failed' : 'passed',
+            diffPixels: result.diffPixels,
+            diffRatio: result.diffRatio,
+            reason: result.reason || null,
+            hasDiff: Boolean(result.diff) && result.diffPixels > 0,
+        };
+    });
+    baseline
+        .filter(name => !current.includes(name) && (!specs || isScreenshotOfSpecs(name, specs)))
+        .forEach(name => screenshots.push({ name, status: 'missing' }));
+
+    const count = status => screenshots.filter(screenshot => screenshot.status === status).length;
+    return {
+        status: count('failed') > 0 ? 'failed' : 'passed',
+        compared: count('passed') + count('failed'),
+        passed: count('passed'),
+        failed: count('failed'),
+        new: count('new'),
+        missing: count('missing'),
+        screenshots,
+    };
+}
+
+function diffImages(baselinePath, currentPath, pixelThreshold) {
+    const expected = PNG.sync.read(fs.readFileSync(baselinePath));
+    const actual = PNG.sync.read(fs.readFileSync(currentPath));
+    if (expected.width !== actual.width || expected.height !== actual.height) {
+        return {
+            diffPixels: null,
+            diffRatio: 1,
+            reason: `Size changed from ${expected.width}x${expected.height} to ${actual.width}x${actual.height}`,
+        };
+    }
+
+    const { width, height } = actual;
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(expected.data, actual.data, diff.data, width, height, { threshold: pixelThreshold });
+    return {
+        diffPixels,
+        diffRatio: Math.round((diffPixels / (width * height)) * 1e6) / 1e6,
+        diff,
+    };
+}
+
+function writeFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+}
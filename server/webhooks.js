@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+import fs from 'fs';
+import { URL } from 'url';
+import { nanoid } from 'nanoid';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Outgoing webhooks for run lifecycle events. Each delivery is POSTed as JSON,
+// signed with HMAC-SHA256 over the raw body with WEBHOOK_SECRET, and retried with
+// exponential backoff. Every attempt is recorded in runs/<id>/webhooks.json.
+// Without a secret nothing is sent: receivers could not tell a delivery from a forgery.
+//
+// WEBHOOK_URLS come from the operator. A run's own webhooks come from any client, so
+// they are refused when their host resolves to a loopback, private or link-local
+// address (unless listed in WEBHOOK_ALLOWED_HOSTS), and redirects are never followed.
+
+export const WEBHOOK_EVENTS = ['run.queued', 'run.started', 'run.finished'];
+
+const DELIVERY_LOG_FILE = 'webhooks.json';
+
+// Addresses a run's webhooks may not reach: internal networks, the host itself and
+// cloud metadata services (169.254.169.254). IPv4-mapped IPv6 addresses match too.
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export class WebhookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookError';
+    }
+}
+
+// Called at startup: global webhooks without a secret are a configuration error
+export function checkWebhookConfig(webhooks) {
+    if (webhooks.urls.length > 0 && !webhooks.secret) {
+        throw new WebhookError('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+    }
+}
+
+// Send an event to the global webhooks and the run's own webhooks
+export function sendWebhooks(run, event, payload) {
+    if (!config.webhooks.events.includes(event)) return;
+
+    const urls = [...new Set([...config.webhooks.urls, ...(run.webhooks || [])])];
+    if (urls.length === 0) return;
+    if (!config.webhooks.secret) {
+        logger.error(`Not sending ${event} webhooks for run ${run.id}: WEBHOOK_SECRET is not set`);
+        return;
+    }
+
+    urls.forEach(url => {
+        const trusted = config.webhooks.urls.includes(url);
+        deliver(run, event, url, payload, { trusted }).catch(error => {
+            logger.error(`Error delivering ${event} webhook for run ${run.id}:`, error);
+        });
+    });
+}
+
+export function readDeliveryLog(run) {
+    const logPath = path.join(run.paths.runPath, DELIVERY_LOG_FILE);
+    if (!fs.existsSync(logPath)) return [];
+    return JSON.parse(fs.readFileSync(logPath, 'utf8'));
+}
+
+// Signature a receiver should compare against the X-Runner-Signature header
+export function signPayload(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Why a run's webhook URL may not be called, or null when it may. The host is resolved
+// here so that a name pointing at an internal address is refused like the address itself.
+export async function checkWebhookTarget(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        return `${protocol} URLs are not allowed`;
+    }
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (config.webhooks.allowedHosts.includes(host)) return null;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+        return `${host} could not be resolved (${error.code || error.message})`;
+    }
+    const internal = addresses.find(({ address, family }) => INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (!internal) return null;
+    const target = net.isIP(host) ? host : `${host} resolves to ${internal.address}, which`;
+    return `${target} is a loopback, private or link-local address`;
+}
+
+async function deliver(run, event, url, payload, { trusted }) {
+    const delivery = {
+        id: nanoid(12),
+        event,
+        url,
+        createdAt: new Date().toISOString(),
+        delivered: false,
+        refused: null,
+        attempts: [],
+    };
+    const body = JSON.stringify({ id: delivery.id, event, timestamp: delivery.createdAt, ...payload });
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'cypress-video-runner',
+        'X-Runner-Event': event,
+        'X-Runner-Delivery': delivery.id,
+        'X-Runner-Signature': signPayload(body, config.webhooks.secret),
+    };
+
+    if (!trusted) {
+        delivery.refused = await checkWebhookTarget(url);
+    }
+    recordDelivery(run, delivery);
+    if (delivery.refused) {
+        logger.warn(`Refused ${event} webhook for run ${run.id} to ${url}: ${delivery.refused}`);
+        return;
+    }
+
+    for (let attempt = 1; attempt <= config.webhooks.maxAttempts; attempt++) {
+        const startedAt = Date.now();
+        const result = { attempt, at: new Date(startedAt).toISOString() };
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                // A redirect could point anywhere, including where the check above refuses to go
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+            });
+            result.status = response.status;
+            delivery.delivered = response.ok;
+        } catch (error) {
+            result.error = error.message;
+        }
+        result.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(result);
+        recordDelivery(run, delivery);
+
+        if (delivery.delivered) {
+            logger.info(`Delivered ${event} webhook for run ${run.id} to ${url}`);
+            return;
+        }
+
+        if (attempt < config.webhooks.maxAttempts) {
+            const delay = config.webhooks.retryBaseDelayMs * 2 ** (attempt - 1);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    logger.warn(`Giving up on ${event} webhook for run ${run.id} to ${url}`, {
+        attempts: delivery.attempts.length,
+    });
+}
+
+// Insert or update a delivery in the run's log
+function recordDelivery(run, delivery) {
+    try {
+        // The run may have been deleted while a delivery was being retried
+        if (!fs.existsSync(run.paths.runPath)) return;
+
+        const deliveries = readDeliveryLog(run);
+        const index = deliveries.findIndex(item => item.id === delivery.id);
+        if (index === -1) {
+            deliveries.push(delivery);
+        } else {
+            deliveries[index] = delivery;
+        }
+        fs.writeFileSync(path.join(run.paths.runPath, DELIVERY_LOG_FILE), JSON.stringify(deliveries, null, 2));
+    } catch (error) {
+        logger.error(`Error recording webhook delivery for run ${run.id}:`, error);
+    }
+}
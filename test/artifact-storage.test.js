@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { URL } from 'url';
+import { createArtifactStorage, StorageError } from '../server/artifact-storage.js';
+import { startS3Stub } from './s3-stub.js';
+
+const CREDENTIALS = { accessKeyId: 'TESTKEYID', secretAccessKey: 'test-secret-key' };
+
+let stub;
+let workDir;
+
+before(async () => {
+    stub = await startS3Stub({ bucket: 'artifacts', ...CREDENTIALS });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-storage-test-'));
+});
+
+after(async () => {
+    await stub.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function s3Storage(settings = {}) {
+    return createArtifactStorage({
+        driver: 's3',
+        s3: {
+            endpoint: stub.endpoint,
+            region: 'us-east-1',
+            bucket: 'artifacts',
+            forcePathStyle: true,
+            prefix: 'runner/',
+            urlMode: 'proxy',
+            urlExpirySeconds: 3600,
+            ...CREDENTIALS,
+            ...settings,
+        },
+    }, { localDir: workDir });
+}
+
+function writeFile(relativePath, content) {
+    const filePath = path.join(workDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+test('rejects configurations it cannot start with', () => {
+    assert.throws(() => createArtifactStorage({ driver: 'ftp' }, { localDir: workDir }), StorageError);
+    assert.throws(() => s3Storage({ bucket: '' }), /S3_BUCKET is required/);
+    assert.throws(() => s3Storage({ secretAccessKey: '' }), /S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required/);
+    assert.throws(() => s3Storage({ urlMode: 'public' }), /Invalid S3_URL_MODE: public/);
+});
+
+test('local driver serves files from the run folders', async () => {
+    const storage = createArtifactStorage({ driver: 'local' }, { localDir: path.join(workDir, 'runs') });
+    const source = writeFile('runs/run-1/results/report.html', '<html></html>');
+
+    assert.strictEqual(storage.remote, false);
+    // Already in place: nothing to copy
+    await storage.put('run-1/results/report.html', source);
+
+    const file = await storage.get('run-1/results/report.html');
+    assert.strictEqual(file.status, 200);
+    assert.strictEqual(file.headers['Content-Type'], 'text/html; charset=utf-8');
+    assert.strictEqual(file.headers['Content-Length'], '13');
+    assert.strictEqual(await readStream(file.body), '<html></html>');
+    assert.strictEqual(await storage.get('run-1/results/missing.html'), null);
+    assert.strictEqual(await storage.get('run-1/results'), null);
+    assert.strictEqual(storage.url('run-1/results/report.html'), null);
+
+    await storage.remove('run-1');
+    assert.strictEqual(fs.existsSync(path.join(workDir, 'runs', 'run-1')), false);
+});
+
+test('s3 driver uploads under the prefix with the content type of the file', async () => {
+    const storage = s3Storage();
+    const source = writeFile('upload/home.cy.js.mp4', 'mp4 data');
+
+    assert.strictEqual(storage.remote, true);
+    await storage.put('run-2/cypress/videos/home.cy.js.mp4', source);
+
+    const object = stub.objects.get('runner/run-2/cypress/videos/home.cy.js.mp4');
+    assert.strictEqual(object.body.toString(), 'mp4 data');
+    assert.strictEqual(object.contentType, 'video/mp4');
+});
+
+test('s3 driver proxies downloads with their headers and ranges', async () => {
+    const storage = s3Storage();
+    stub.objects.set('runner/run-3/results/results.json', { body: Buffer.from('{"ok":true}'), contentType: 'application/json' });
+
+    const file = await storage.get('run-3/results/results.json');
+    assert.strictEqual(file.status, 200);
+    assert.strictEqual(file.headers['Content-Type'], 'application/json');
+    assert.strictEqual(file.headers['Content-Length'], '11');
+    assert.ok(file.headers.ETag);
+    assert.strictEqual(await readStream(file.body), '{"ok":true}');
+
+    const partial = await storage.get('run-3/results/results.json', { range: 'bytes=1-4' });
+    assert.strictEqual(partial.status, 206);
+    assert.strictEqual(partial.headers['Content-Range'], 'bytes 1-4/11');
+    assert.strictEqual(await readStream(partial.body), '"ok"');
+
+    assert.strictEqual(await storage.get('run-3/results/missing.json'), null);
+});
+
+test('s3 driver removes every object of a run across listing pages', async () => {
+    const storage = s3Storage();
+    const keys = ['a.png', 'b.png', 'c.png', 'd.png', 'e.png'].map(name => `runner/run-4/cypress/screenshots/${name}`);
+    keys.forEach(key => stub.objects.set(key, { body: Buffer.from('png'), contentType: 'image/png' }));
+    stub.objects.set('runner/run-40/results/results.json', { body: Buffer.from('{}'), contentType: 'application/json' });
+
+    assert.strictEqual(await storage.remove('run-4/'), 5);
+
+    keys.forEach(key => assert.strictEqual(stub.objects.has(key), false));
+    assert.strictEqual(stub.objects.has('runner/run-40/results/results.json'), true);
+    assert.strictEqual(await storage.remove('run-4/'), 0);
+});
+
+test('s3 driver links to presigned URLs only in signed mode', () => {
+    assert.strictEqual(s3Storage().url('run-5/results/report.html'), null);
+
+    const url = new URL(s3Storage({ urlMode: 'signed', urlExpirySeconds: 30 * 24 * 60 * 60 }).url('run-5/results/report.html'));
+    assert.strictEqual(`${url.origin}${url.pathname}`, `${stub.endpoint}/artifacts/runner/run-5/results/report.html`);
+    // Capped at the week S3 allows
+    assert.strictEqual(url.searchParams.get('X-Amz-Expires'), '604800');
+    assert.match(url.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import http from 'http';
+import { URL } from 'url';
+
+// An in-memory S3 stand-in for one path-style bucket. Every request must carry a valid
+// Signature Version 4 Authorization header, checked here independently of the client;
+// anything else is answered with 403 SignatureDoesNotMatch. Listings return `pageSize`
+// keys at a time so clients have to follow the continuation tokens.
+export function startS3Stub({ bucket, accessKeyId, secretAccessKey, pageSize = 2 }) {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, 'http://stub');
+            requests.push({ method: req.method, url, headers: req.headers, body });
+
+            if (!hasValidSignature(req, url, { accessKeyId, secretAccessKey })) {
+                return sendError(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match');
+            }
+
+            const [, bucketName, ...keyParts] = url.pathname.split('/');
+            if (bucketName !== bucket) {
+                return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+            }
+            const key = keyParts.map(decodeURIComponent).join('/');
+
+            if (req.method === 'GET' && key === '') return list(url, res);
+            if (req.method === 'PUT') {
+                objects.set(key, { body, contentType: req.headers['content-type'] });
+                res.statusCode = 200;
+                return res.end();
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.statusCode = 204;
+                return res.end();
+            }
+            if (req.method === 'GET') return get(key, req, res);
+            sendError(res, 405, 'MethodNotAllowed', 'The method is not allowed');
+        });
+    });
+
+    function get(key, req, res) {
+        const object = objects.get(key);
+        if (!object) {
+            return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+        }
+        res.setHeader('Content-Type', object.contentType);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('ETag', `"${crypto.createHash('md5').update(object.body).digest('hex')}"`);
+
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (!range) {
+            res.setHeader('Content-Length', object.body.length);
+            return res.end(object.body);
+        }
+        const start = Number(range[1]);
+        const end = Math.min(range[2] ? Number(range[2]) : object.body.length - 1, object.body.length - 1);
+        if (start > end) {
+            res.setHeader('Content-Range', `bytes */${object.body.length}`);
+            return sendError(res, 416, 'InvalidRange', 'The requested range is not satisfiable');
+        }
+        res.statusCode = 206;
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${object.body.length}`);
+        res.setHeader('Content-Length', end - start + 1);
+        res.end(object.body.subarray(start, end + 1));
+    }
+
+    // Continuation tokens are opaque to clients; these contain characters that need encoding
+    function list(url, res) {
+        const prefix = url.searchParams.get('prefix') || '';
+        const token = url.searchParams.get('continuation-token');
+        const start = token ? Number(/^page\/(\d+)\+=$/.exec(token)[1]) : 0;
+        const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+        const page = keys.slice(start, start + pageSize);
+        const truncated = start + pageSize < keys.length;
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.end([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">',
+            `<Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`,
+            `<IsTruncated>${truncated}</IsTruncated>`,
+            truncated ? `<NextContinuationToken>${escapeXml(`page/${start + pageSize}+=`)}</NextContinuationToken>` : '',
+            ...page.map(key => `<Contents><Key>${escapeXml(key)}</Key><Size>${objects.get(key).body.length}</Size></Contents>`),
+            '</ListBucketResult>',
+        ].join(''));
+    }
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+function hasValidSignature(req, url, { accessKeyId, secretAccessKey }) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match) return false;
+    const [, credentialKeyId, date, region, signedHeaders, signature] = match;
+    const headerNames = signedHeaders.split(';');
+    const amzDate = req.headers['x-amz-date'] || '';
+    if (credentialKeyId !== accessKeyId || !amzDate.startsWith(date)) return false;
+    if (!['host', 'x-amz-date', 'x-amz-content-sha256'].every(name => headerNames.includes(name))) return false;
+
+    const query = [...url.searchParams]
+        .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+        .sort()
+        .join('&');
+    const canonicalRequest = [
+        req.method,
+        url.pathname,
+        query,
+        headerNames.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join(''),
+        signedHeaders,
+        req.headers['x-amz-content-sha256'],
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [date, region, 's3', 'aws4_request']
+        .reduce((key, part) => crypto.createHmac('sha256', key).update(part).digest(), `AWS4${secretAccessKey}`);
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex') === signature;
+}
+
+function sendError(res, status, code, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/xml');
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
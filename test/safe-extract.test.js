@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'assert';
+import AdmZip from 'adm-zip';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractZipSafely, UnsafeArchiveError } from '../server/safe-extract.js';
+
+const LIMITS = { maxEntries: 10, maxTotalBytes: 4 * 1024 * 1024, maxCompressionRatio: 100 };
+
+const S_IFLNK = 0o120000;
+
+let workDir;
+let extractions = 0;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-extract-test-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// A ZIP of { name: content } entries
+function createZip(files) {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, content]) => {
+        zip.addFile(name, Buffer.from(content));
+    });
+    return zip.toBuffer();
+}
+
+// adm-zip cleans up the names it is given, so hostile names are written over
+// placeholders of the same length in the local and central headers
+function renameEntry(buffer, from, to) {
+    assert.strictEqual(from.length, to.length);
+    const patched = Buffer.from(buffer);
+    let index = patched.indexOf(from);
+    assert.notStrictEqual(index, -1);
+    while (index !== -1) {
+        patched.write(to, index);
+        index = patched.indexOf(from, index + 1);
+    }
+    return patched;
+}
+
+// Overwrite a 32-bit field of an entry's local header (when it has one) and central directory record
+function patchEntryHeaders(buffer, name, { local, central }, value) {
+    const patched = Buffer.from(buffer);
+    for (let offset = 0; offset < patched.length - 4; offset++) {
+        const signature = patched.readUInt32LE(offset);
+        if (signature === 0x04034b50 && local !== undefined && patched.toString('utf8', offset + 30, offset + 30 + name.length) === name) {
+            patched.writeUInt32LE(value, offset + local);
+        }
+        if (signature === 0x02014b50 && patched.toString('utf8', offset + 46, offset + 46 + name.length) === name) {
+            patched.writeUInt32LE(value, offset + central);
+        }
+    }
+    return patched;
+}
+
+const CRC = { local: 14, central: 16 };
+const UNCOMPRESSED_SIZE = { local: 22, central: 24 };
+// The Unix mode is in the upper half of the external attributes
+const EXTERNAL_ATTRIBUTES = { central: 38 };
+
+function newDestination() {
+    extractions++;
+    return path.join(workDir, `project-${extractions}`);
+}
+
+function assertRejected(buffer, { message, entryName }) {
+    const destination = newDestination();
+    assert.throws(() => extractZipSafely(buffer, destination, LIMITS), error => {
+        assert.ok(error instanceof UnsafeArchiveError, `${error.name}: ${error.message}`);
+        assert.match(error.message, message);
+        assert.strictEqual(error.entryName, entryName);
+        return true;
+    });
+    return destination;
+}
+
+test('extracts a well-formed archive', () => {
+    const destination = newDestination();
+    const buffer = createZip({
+        'cypress.config.js': 'module.exports = {};',
+        'cypress/e2e/login.cy.js': "it('logs in', () => {});",
+    });
+
+    assert.deepStrictEqual(extractZipSafely(buffer, destination, LIMITS), { entries: 2, bytes: 44 });
+    assert.strictEqual(fs.readFileSync(path.join(destination, 'cypress/e2e/login.cy.js'), 'utf8'), "it('logs in', () => {});");
+});
+
+test('rejects entries that climb out of the destination', () => {
+    const buffer = renameEntry(createZip({ 'xx/evil.txt': 'x' }), 'xx/evil.txt', '../evil.txt');
+
+    const destination = assertRejected(buffer, { message: /points outside the project directory/, entryName: '../evil.txt' });
+    assert.strictEqual(fs.existsSync(path.join(destination, '..', 'evil.txt')), false);
+});
+
+test('rejects absolute entry paths', () => {
+    assertRejected(renameEntry(createZip({ 'xetc/passwd': 'x' }), 'xetc/passwd', '/etc/passwd'), {
+        message: /has an absolute path/,
+        entryName: '/etc/passwd',
+    });
+    assertRejected(renameEntry(createZip({ 'xxwin.ini': 'x' }), 'xxwin.ini', 'C:win.ini'), {
+        message: /has an absolute path/,
+        entryName: 'C:win.ini',
+    });
+});
+
+test('rejects symbolic links before writing anything', () => {
+    // adm-zip only writes regular files and folders, so the mode is set afterwards
+    const buffer = patchEntryHeaders(
+        createZip({ 'a.txt': 'first', 'link': '/etc/passwd' }),
+        'link',
+        EXTERNAL_ATTRIBUTES,
+        ((S_IFLNK | 0o777) << 16) >>> 0
+    );
+
+    const destination = assertRejected(buffer, { message: /is a symbolic link/, entryName: 'link' });
+    assert.strictEqual(fs.existsSync(destination), false);
+});
+
+test('rejects entries above the compression ratio limit', () => {
+    const buffer = createZip({ 'bomb.bin': Buffer.alloc(2 * 1024 * 1024) });
+
+    assertRejected(buffer, { message: /exceeds the maximum compression ratio of 100/, entryName: 'bomb.bin' });
+});
+
+test('rejects archives that expand beyond the size limit', () => {
+    // Random bytes do not compress, so only the total size is over a limit
+    const buffer = createZip({ 'one.bin': crypto.randomBytes(3 * 1024 * 1024), 'two.bin': crypto.randomBytes(2 * 1024 * 1024) });
+
+    assertRejected(buffer, { message: /expands beyond the 4MB limit at entry "two.bin"/, entryName: 'two.bin' });
+});
+
+test('rejects archives with too many entries', () => {
+    const files = Object.fromEntries(Array.from({ length: 11 }, (_value, index) => [`file-${index}.txt`, 'x']));
+
+    assertRejected(createZip(files), { message: /contains 11 entries; the limit is 10/, entryName: null });
+});
+
+test('rejects an entry that fails its checksum', () => {
+    const buffer = patchEntryHeaders(createZip({ 'spec.cy.js': 'x'.repeat(5000) }), 'spec.cy.js', CRC, 0x12345678);
+
+    assertRejected(buffer, { message: /ZIP entry "spec.cy.js" cannot be extracted/, entryName: 'spec.cy.js' });
+});
+
+test('rejects an entry that inflates beyond its declared size', () => {
+    const buffer = patchEntryHeaders(createZip({ 'spec.cy.js': 'x'.repeat(5000) }), 'spec.cy.js', UNCOMPRESSED_SIZE, 100);
+
+    assertRejected(buffer, { message: /ZIP entry "spec.cy.js" cannot be extracted/, entryName: 'spec.cy.js' });
+});
+
+test('rejects data that is not a ZIP archive', () => {
+    assertRejected(Buffer.from('not a zip file'), { message: /Invalid ZIP archive/, entryName: null });
+});
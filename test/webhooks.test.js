@@ -0,0 +1,220 @@
+import { test, after } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// The config is read from the environment when it is imported, and the logger writes
+// to ./logs, so both are set up before the modules are loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.chdir(workDir);
+process.env.WEBHOOK_URLS = '';
+process.env.WEBHOOK_SECRET = 'test-secret';
+// The receivers below listen on loopback, which run webhooks may not reach otherwise
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '50';
+
+const { config } = await import('../server/config.js');
+const { logger } = await import('../server/logger.js');
+const { sendWebhooks, readDeliveryLog, checkWebhookConfig, checkWebhookTarget, WebhookError } = await import('../server/webhooks.js');
+
+logger.silent = true;
+
+const receivers = [];
+
+after(() => {
+    receivers.forEach(receiver => receiver.server.close());
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// A webhook receiver answering its requests with `statuses` in turn, then 200
+function startReceiver(statuses = [], headers = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            res.statusCode = statuses[requests.length - 1] || 200;
+            Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const receiver = { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+            receivers.push(receiver);
+            resolve(receiver);
+        });
+    });
+}
+
+function createRun(id, webhooks) {
+    const runPath = path.join(workDir, 'runs', id);
+    fs.mkdirSync(runPath, { recursive: true });
+    return { id, webhooks, paths: { runPath } };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the webhook delivery');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const deliveredOnce = run => () => readDeliveryLog(run).some(delivery => delivery.delivered);
+
+test('signs the raw body with WEBHOOK_SECRET', async () => {
+    const receiver = await startReceiver();
+    const run = createRun('signed', [receiver.url]);
+
+    sendWebhooks(run, 'run.finished', { run: { id: run.id, status: 'done' } });
+    await waitFor(deliveredOnce(run));
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    const expected = `sha256=${crypto.createHmac('sha256', 'test-secret').update(body).digest('hex')}`;
+    assert.strictEqual(headers['x-runner-signature'], expected);
+    assert.strictEqual(headers['x-runner-event'], 'run.finished');
+    assert.strictEqual(headers['content-type'], 'application/json');
+
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'run.finished');
+    assert.strictEqual(payload.id, headers['x-runner-delivery']);
+    assert.deepStrictEqual(payload.run, { id: run.id, status: 'done' });
+});
+
+test('retries a failed delivery with exponential backoff and logs every attempt', async () => {
+    const receiver = await startReceiver([500, 500]);
+    const run = createRun('retried', [receiver.url]);
+
+    sendWebhooks(run, 'run.started', { run: { id: run.id } });
+    await waitFor(deliveredOnce(run));
+
+    assert.strictEqual(receiver.requests.length, 3);
+    const [first, second, third] = receiver.requests.map(request => request.at);
+    // WEBHOOK_RETRY_BASE_DELAY_MS is 50: the retries wait 50 and 100ms
+    assert.ok(second - first >= 45, `first retry after ${second - first}ms`);
+    assert.ok(third - second >= 95, `second retry after ${third - second}ms`);
+    // Every attempt carries the same delivery and signature
+    assert.strictEqual(new Set(receiver.requests.map(request => request.headers['x-runner-delivery'])).size, 1);
+    assert.strictEqual(new Set(receiver.requests.map(request => request.headers['x-runner-signature'])).size, 1);
+
+    const deliveries = readDeliveryLog(run);
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].id, receiver.requests[0].headers['x-runner-delivery']);
+    assert.strictEqual(deliveries[0].event, 'run.started');
+    assert.strictEqual(deliveries[0].url, receiver.url);
+    assert.strictEqual(deliveries[0].delivered, true);
+    assert.deepStrictEqual(deliveries[0].attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+    assert.deepStrictEqual(deliveries[0].attempts.map(attempt => attempt.status), [500, 500, 200]);
+});
+
+test('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+    const receiver = await startReceiver([500, 500, 500, 500]);
+    const run = createRun('failed', [receiver.url]);
+
+    sendWebhooks(run, 'run.finished', { run: { id: run.id } });
+    await waitFor(() => readDeliveryLog(run).some(delivery => delivery.attempts.length === 3));
+    // Longer than the next backoff would be
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.strictEqual(receiver.requests.length, 3);
+    const [delivery] = readDeliveryLog(run);
+    assert.strictEqual(delivery.delivered, false);
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [500, 500, 500]);
+});
+
+test('sends nothing without WEBHOOK_SECRET', async () => {
+    const receiver = await startReceiver();
+    const run = createRun('unsigned', [receiver.url]);
+
+    config.webhooks.secret = '';
+    try {
+        sendWebhooks(run, 'run.queued', { run: { id: run.id } });
+        await new Promise(resolve => setTimeout(resolve, 200));
+    } finally {
+        config.webhooks.secret = 'test-secret';
+    }
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.deepStrictEqual(readDeliveryLog(run), []);
+});
+
+test('refuses run webhooks to internal addresses before sending anything', async () => {
+    const receiver = await startReceiver();
+    const port = receiver.server.address().port;
+    const urls = [
+        `http://localhost:${port}/hook`,
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::ffff:10.0.0.1]/hook',
+        'http://192.168.1.10/hook',
+    ];
+    const run = createRun('internal', urls);
+
+    sendWebhooks(run, 'run.finished', { run: { id: run.id } });
+    await waitFor(() => readDeliveryLog(run).length === urls.length);
+
+    assert.strictEqual(receiver.requests.length, 0);
+    readDeliveryLog(run).forEach(delivery => {
+        assert.match(delivery.refused, /a loopback, private or link-local address/);
+        assert.strictEqual(delivery.delivered, false);
+        assert.deepStrictEqual(delivery.attempts, []);
+    });
+});
+
+test('delivers to internal WEBHOOK_URLS, which the operator configured', async () => {
+    const receiver = await startReceiver();
+    const url = `http://localhost:${receiver.server.address().port}/hook`;
+    const run = createRun('configured', []);
+
+    config.webhooks.urls = [url];
+    try {
+        sendWebhooks(run, 'run.queued', { run: { id: run.id } });
+        await waitFor(deliveredOnce(run));
+    } finally {
+        config.webhooks.urls = [];
+    }
+
+    assert.strictEqual(receiver.requests.length, 1);
+    assert.strictEqual(readDeliveryLog(run)[0].refused, null);
+});
+
+test('does not follow redirects', async () => {
+    const target = await startReceiver();
+    const redirecting = await startReceiver([302, 302, 302], { Location: target.url });
+    const run = createRun('redirected', [redirecting.url]);
+
+    sendWebhooks(run, 'run.finished', { run: { id: run.id } });
+    await waitFor(() => readDeliveryLog(run).some(delivery => delivery.attempts.length === 3));
+
+    assert.strictEqual(target.requests.length, 0);
+    const [delivery] = readDeliveryLog(run);
+    assert.strictEqual(delivery.delivered, false);
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [302, 302, 302]);
+});
+
+test('checkWebhookTarget allows public addresses and WEBHOOK_ALLOWED_HOSTS', async () => {
+    assert.strictEqual(await checkWebhookTarget('https://93.184.215.14/hook'), null);
+    assert.strictEqual(await checkWebhookTarget('http://[2606:4700::1111]/hook'), null);
+    assert.strictEqual(await checkWebhookTarget('http://127.0.0.1:9000/hook'), null);
+    assert.strictEqual(await checkWebhookTarget('http://127.0.0.2/hook'), '127.0.0.2 is a loopback, private or link-local address');
+    assert.match(await checkWebhookTarget('http://[::1]/hook'), /^::1 is a loopback/);
+    assert.match(await checkWebhookTarget('http://[fd00::1]/hook'), /^fd00::1 is a loopback/);
+    assert.match(await checkWebhookTarget('http://0x7f.2/hook'), /^127.0.0.2 is a loopback/);
+    assert.match(await checkWebhookTarget('http://localhost/hook'), /^localhost resolves to (127.0.0.1|::1), which is a loopback/);
+    assert.strictEqual(await checkWebhookTarget('ftp://example.com/hook'), 'ftp: URLs are not allowed');
+});
+
+test('checkWebhookConfig requires a secret for WEBHOOK_URLS', () => {
+    assert.throws(() => checkWebhookConfig({ urls: ['http://example.com/hook'], secret: '' }), WebhookError);
+    assert.doesNotThrow(() => checkWebhookConfig({ urls: ['http://example.com/hook'], secret: 'secret' }));
+    assert.doesNotThrow(() => checkWebhookConfig({ urls: [], secret: '' }));
+});